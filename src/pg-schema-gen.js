@@ -2,9 +2,11 @@
 // @ts-check
 "use strict";
 
-import { parse } from 'pgsql-parser';
+import { parse, deparseSync } from 'pgsql-parser';
 import Path from "node:path";
 import fs from "node:fs/promises";
+import { realpathSync, watch } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
 
 /**
  * @import * as Pg from "pgsql-parser"
@@ -13,20 +15,49 @@ import fs from "node:fs/promises";
 /**
  * @typedef Args
  * @prop {string[]=} sqlAry Array of sql statements
- * @prop {string[]=} sqlFileAry Array of sql files to load as statements
+ * @prop {string[]=} sqlFileAry Array of sql files or glob patterns to load as statements
+ * @prop {string[]=} sqlDirAry Array of directories to load sql files from. Files are loaded in the
+ *                             order of their timestamp or numeric prefix
  * @prop {string[]=} typeMapFileAry Array of type map json files
+ * @prop {string[]=} queriesAry Array of query files or glob patterns to generate typed query
+ *                              functions for
+ * @prop {string[]=} includeSchemaAry Array of schemas to generate types for. By default all schemas
+ *                                    are included
+ * @prop {string[]=} excludeSchemaAry Array of schemas to skip
+ * @prop {string=} schemaNames Controls if generated names are prefixed with the schema of their
+ *                             object. `bare` (default), `prefix` or `auto`
+ * @prop {string=} singularNames Singularizes the names of tables and views, e.g. `accounts` -> `Account`
+ * @prop {string=} typePrefix Prefix added to the names of types
+ * @prop {string=} typeSuffix Suffix added to the names of types
+ * @prop {string=} propCase Casing of property names. `preserve` (default) or `camel`
+ * @prop {string=} zodSuffix Suffix added to type names to name Zod schemas. Default `Schema`
  * @prop {string=} clearTypeMap Clears all default type mappings 
  * @prop {string=} insertSuffix A suffix added to insert types
  * @prop {string=} updateSuffix A suffix added to updates types
  * @prop {string=} silent Silences console logging
  * @prop {string=} verbose Enables verbose output
+ * @prop {string=} config Path to a config file. By default the working directory is searched for
+ *                        a pg-schema-gen.config.json, .js or .mjs file
+ * @prop {string[]=} profileAry Names of config file profiles to generate outputs for
+ * @prop {string=} watch Watches SQL and type map files and regenerates outputs when they change
+ * @prop {string=} continueOnError Skips statements that can not be parsed instead of failing
+ * @prop {string=} check Compares generated outputs to the files on disk without writing and exits
+ *                       with a non-zero exit code if any files are out of date
  * @prop {string=} barrelBase Base path to import exported exports from in the schema barrel
  * @prop {string=} disableSchemaBarrel Disables the default schema barrel
  * @prop {string=} importExt Sets the import extension used with TypeScript files
+ * @prop {string=} withRelations Generates TypeScript and Zod types that include related types, for
+ *                               example `UsersWithAccount`
  * @prop {string[]=} outAry Array of directory paths to schema file to.
  * @prop {string[]=} tsOutAry Array of paths to write TypeScript types to.
  * @prop {string[]=} zodOutAry Array of paths to write Zod Schemas to
  * @prop {string[]=} convoOutAry Array of paths to write Convo-Lang structs to
+ * @prop {string[]=} pydanticOutAry Array of paths to write Python models to
+ * @prop {string=} pyModel Python model type, `pydantic` or `dataclass`
+ * @prop {string[]=} goOutAry Array of paths to write Go structs to
+ * @prop {string=} goPackage Package name of the Go output. Defaults to the name of the directory
+ *                           of the first Go output
+ * @prop {string=} goNull Type of nullable Go fields, `pointer` or `sql`
  * @prop {string[]=} typeMapOutAry Array of paths to write the computed type map to
  * @prop {string[]=} tableMapOutAry Array of paths to write the table map to as JSON
  * @prop {string[]=} tsTableMapOutAry Array of paths to write the table map to as an exported JSON object
@@ -36,8 +67,156 @@ import fs from "node:fs/promises";
  * @prop {string[]=} typeListShortOutAry Array of paths to write the shortened type list as a JSON array to.
  *                                                Type props are written as an array of strings
  * @prop {string[]=} parsedSqlOutAry Array of paths to write parsed SQL to
+ * @prop {string[]=} kyselyOutAry Array of paths to write a Kysely database interface to
+ * @prop {string[]=} drizzleOutAry Array of paths to write Drizzle ORM table definitions to
+ * @prop {string[]=} supabaseOutAry Array of paths to write a Supabase `Database` type to
+ * @prop {string[]=} mappersOutAry Array of paths to write row mapper functions to
+ * @prop {string=} mapperJsonText Row mappers parse json and jsonb values, for use with drivers
+ *                                configured to return JSON as text
+ * @prop {string[]=} queriesOutAry Array of paths to write typed query functions to
+ * @prop {string[]=} docsOutAry Array of paths to write a Markdown schema reference to
+ * @prop {string[]=} erdOutAry Array of paths to write a Mermaid entity relationship diagram to
+ * @prop {string[]=} jsonSchemaOutAry Array of paths to write a JSON Schema document to
+ * @prop {string[]=} openapiOutAry Array of paths to write an OpenAPI document to
+ * @prop {string=} openapiTitle Title of the OpenAPI document
+ * @prop {string=} openapiVersion Version of the OpenAPI document
+ * @prop {string=} zodDefaults Adds the literal default values of columns to insert Zod schemas
+ *                             using `.default()`
+ * @prop {string=} nullMode Controls how nullable columns are typed. `optional` (default) types
+ *                          nullable columns as optional properties. `nullable` types nullable
+ *                          columns as `T|null` in row types and `T|null` optional properties in
+ *                          insert and update types
+ * @prop {string=} int8Mode Type used for int8 columns. `number` (default), `string` or `bigint`
+ * @prop {string=} numericMode Type used for numeric columns. `number` (default), `string` or `bigint`
+ * @prop {string=} timestampMode Type used for timestamp and date columns. `string` (default) or
+ *                               `date`. The `date` mode uses `Date` objects and `z.coerce.date()`
  */
 
+ /**
+  * Options used by `generate`. Options match the command line arguments of the same name.
+  * @typedef GenerateOptions
+  * @prop {string[]=} sql Array of sql statements
+  * @prop {string[]=} sqlFiles Array of sql files or glob patterns to load as statements
+  * @prop {string[]=} sqlDirs Array of directories to load sql files from in migration order
+  * @prop {string[]=} typeMapFiles Array of type map json files
+  * @prop {string[]=} queryFiles Array of query files or glob patterns to generate typed query
+  *                              functions for
+  * @prop {string[]=} includeSchemas Only generates types for objects in the given schemas
+  * @prop {string[]=} excludeSchemas Skips objects in the given schemas
+  * @prop {SchemaNameMode=} schemaNames Controls if generated names are prefixed with the schema of
+  *                                     their object. Default `bare`
+  * @prop {boolean=} singularNames Singularizes the names of tables and views
+  * @prop {string=} typePrefix Prefix added to the names of types
+  * @prop {string=} typeSuffix Suffix added to the names of types
+  * @prop {PropCase=} propCase Casing of property names. Default `preserve`
+  * @prop {string=} zodSuffix Suffix added to type names to name Zod schemas. Default `Schema`
+  * @prop {NamingOptions['typeName']=} typeName Custom function that returns the name of a type
+  * @prop {NamingOptions['propName']=} propName Custom function that returns the name of a property
+  * @prop {NamingOptions['zodName']=} zodName Custom function that returns the name of a Zod schema
+  * @prop {Record<string,Partial<TypeMapping>>=} typeMap Type mappings merged into the type map
+  *                                                     after type map files
+  * @prop {boolean=} clearTypeMap Clears all default type mappings
+  * @prop {string=} insertSuffix A suffix added to insert types. Default `_insert`
+  * @prop {string=} updateSuffix A suffix added to updates types. Default `_update`
+  * @prop {boolean=} withRelations Generates TypeScript and Zod types that include related types
+  * @prop {boolean=} zodDefaults Adds literal default values to insert Zod schemas
+  * @prop {'optional'|'nullable'=} nullMode Controls how nullable columns are typed
+  * @prop {NumericMode=} int8Mode Type used for int8 columns
+  * @prop {NumericMode=} numericMode Type used for numeric columns
+  * @prop {TimestampMode=} timestampMode Type used for timestamp and date columns
+  * @prop {PyModel=} pyModel Python model type. Default `pydantic`
+  * @prop {string=} goPackage Package name of the Go output. Default `models`
+  * @prop {GoNullMode=} goNull Type of nullable Go fields. Default `pointer`
+  * @prop {string=} importExt Sets the import extension used with TypeScript files
+  * @prop {boolean=} continueOnError Parses statements one at a time when the SQL contains errors
+  *                                 and skips statements that can not be parsed
+  * @prop {string=} tsImport Path type definitions import TypeScript types from
+  * @prop {string=} zodImport Path type definitions import Zod schemas from
+  * @prop {Partial<Record<TsImportOutput,string>>=} outputTsImports Paths outputs import TypeScript
+  *                                                           types from. Defaults to `tsImport`
+  * @prop {boolean=} mapperJsonText Row mappers parse json and jsonb values returned as text
+  * @prop {string=} openApiTitle Title of the OpenAPI document. Default `Database Schema`
+  * @prop {string=} openApiVersion Version of the OpenAPI document. Default `1.0.0`
+  * @prop {boolean=} silent Silences console logging
+  * @prop {boolean=} verbose Enables verbose output
+  */
+
+ /**
+  * @typedef GenerateResult
+  * @prop {TypeDef[]} typeDefs
+  * @prop {TableMap} tableMap
+  * @prop {Record<string,TypeMapping>} typeMap The computed type map
+  * @prop {SchemaModel} model Final state of the schema after replaying all statements
+  * @prop {import('@pgsql/types').ParseResult} parsedSql
+  * @prop {GeneratedOutputs} outputs
+  */
+
+ /**
+  * Rendered content of each output file
+  * @typedef GeneratedOutputs
+  * @prop {string} ts TypeScript types
+  * @prop {string} zod Zod schemas
+  * @prop {string} py Python models
+  * @prop {string} go Go structs
+  * @prop {string} convo Convo-Lang structs
+  * @prop {string} typeDefs Type definitions TypeScript file
+  * @prop {string} typeList Type list as a JSON array
+  * @prop {string} typeListShort Shortened type list as a JSON array
+  * @prop {string} typeMap Computed type map as JSON
+  * @prop {string} tableMap Table map as JSON
+  * @prop {string} tsTableMap Table map as an exported JSON object
+  * @prop {string} parsedSql Parsed SQL as JSON
+  * @prop {string} kysely Kysely database interface
+  * @prop {string} drizzle Drizzle ORM table definitions
+  * @prop {string} supabase Supabase `Database` type
+  * @prop {string} mappers Functions that convert between rows and types
+  * @prop {string} queries Typed query functions
+  * @prop {string} docs Markdown schema reference
+  * @prop {string} erd Mermaid entity relationship diagram
+  * @prop {string} jsonSchema JSON Schema document defining all types
+  * @prop {string} openApi OpenAPI document defining all types as component schemas
+  */
+
+ /**
+  * @typedef OutputFile
+  * @prop {string[]} paths
+  * @prop {string} content
+  */
+
+ /**
+  * Outputs that import TypeScript types
+  * @typedef {'kysely'|'drizzle'|'mappers'|'queries'} TsImportOutput
+  */
+
+ /**
+  * @typedef {'number'|'string'|'bigint'} NumericMode
+  */
+
+ /**
+  * @typedef {'string'|'date'} TimestampMode
+  */
+
+ /**
+  * @typedef TypeOptions
+  * @prop {SqlSource[]=} sqlSources Sources of the SQL used to report the location of warnings
+  * @prop {boolean=} zodDefaults Adds literal default values to insert Zod schemas
+  * @prop {'optional'|'nullable'=} nullMode Controls how nullable columns are typed
+  * @prop {PyModel=} pyModel Python model type
+  * @prop {GoNullMode=} goNull Type of nullable Go fields
+  * @prop {Set<string>=} schemaPrefixedNames Schema qualified names of the objects whose generated
+  *                                          names are prefixed with their schema
+  * @prop {NamingOptions=} naming
+  */
+
+ /**
+  * @typedef {'pydantic'|'dataclass'} PyModel
+  */
+
+ /**
+  * `pointer` uses pointers for nullable Go fields and `sql` uses `database/sql` null types
+  * @typedef {'pointer'|'sql'} GoNullMode
+  */
+
 
  /**
   * @typedef MetadataItem
@@ -59,33 +238,98 @@ import fs from "node:fs/promises";
   * @prop {string=} description
   * @prop {boolean=} insert
   * @prop {string[]} src
-  * @prop {'type'|'enum'} type
+  * @prop {'type'|'enum'|'domain'|'composite'} type
   * @prop {number} order
+  * @prop {number=} sequence Sorts types with the same order by declaration order instead of name.
+  *                          Used by types that can reference other types of the same order.
   * @prop {PropDef[]} props
+  * @prop {string[]=} imports Packages imported by the type. Used by Go types
+  * @prop {boolean=} refined True if a Zod schema has object level refinements. Refined schemas are
+  *                          extended using `safeExtend`
   */
 
  /**
   * @typedef TypeDef
   * @prop {string} name
   * @prop {string=} description
-  * @prop {'type'|'enum'} type
+  * @prop {'type'|'enum'|'domain'|'composite'} type
   * @prop {string=} primaryKey
   * @prop {string=} sqlTable
   * @prop {string=} sqlSchema
+  * @prop {string=} sqlType SQL name of an enum, domain or composite type
+  * @prop {'view'|'materialized'=} sqlViewType Set when the type is generated from a view
+  * @prop {boolean=} readOnly
+  * @prop {TypeMapping=} baseType Base type of a domain
+  * @prop {number=} arrayDimensions Array dimensions of the base type of a domain
+  * @prop {string[]=} values Values of an enum
+  * @prop {string[]=} checks Check constraints of a domain or table check constraints that reference multiple columns
+  * @prop {RelationDef[]=} relations Relations defined by foreign keys
+  * @prop {IndexDef[]=} indexes Indexes of a table or materialized view
+  * @prop {ConstraintDef[]=} constraints Primary key, unique, check, foreign key and exclusion
+  *                                     constraints of a table
   * @prop {PropDef[]} props
   */
 
+ /**
+  * @typedef IndexDef
+  * @prop {string=} name
+  * @prop {string[]} columns Columns and expressions of the index
+  * @prop {boolean=} unique
+  * @prop {string=} method Index method, e.g. `gin`. Undefined for the default btree method
+  * @prop {string=} where Predicate of a partial index
+  * @prop {string} definition SQL of the create index statement
+  */
+
+ /**
+  * @typedef ConstraintDef
+  * @prop {string=} name
+  * @prop {'primaryKey'|'unique'|'check'|'foreignKey'|'exclusion'} type
+  * @prop {string[]} columns
+  * @prop {string} definition SQL of the constraint
+  */
+
+ /**
+  * @typedef RelationDef
+  * @prop {string} name Name of the relation. Used as the property name of the related type.
+  * @prop {string[]} columns Columns of the type the relation is joined on
+  * @prop {string=} targetType Name of the related type. Undefined if the table is not defined
+  * @prop {string} targetTable
+  * @prop {string=} targetSchema
+  * @prop {string[]} targetColumns Columns of the related table the relation is joined on
+  * @prop {'one'|'many'} cardinality
+  * @prop {boolean=} reverse True if the relation is defined by a foreign key of the related table
+  * @prop {boolean=} optional True if the related value may not exist
+  * @prop {string=} constraintName
+  * @prop {FkAction=} onDelete
+  * @prop {FkAction=} onUpdate
+  */
+
+ /**
+  * @typedef {'no action'|'restrict'|'cascade'|'set null'|'set default'} FkAction
+  */
+
  /**
   * @typedef PropDef
-  * @prop {string} name
+  * @prop {string} name Name of the property. Matches the column name unless changed by naming options
+  * @prop {string} sqlName Name of the column
   * @prop {TypeMapping} type
   * @prop {boolean=} primary
   * @prop {string=} description
   * @prop {string=} sqlDef
   * @prop {boolean=} optional
+  * @prop {boolean=} nullable True if the column allows null values. Set in all null modes, the
+  *                           null mode only controls how the property is rendered
   * @prop {boolean=} hasDefault
   * @prop {boolean=} isArray
   * @prop {number=} arrayDimensions
+  * @prop {number=} maxLength Max length of varchar and char columns
+  * @prop {number=} precision Precision of numeric columns
+  * @prop {number=} scale Scale of numeric columns
+  * @prop {string[]=} checks Check constraints that only reference the property
+  * @prop {any=} defaultValue Parsed value of a literal column default
+  * @prop {string=} defaultExpression SQL expression of a column default that is not a literal
+  * @prop {'always'|'byDefault'=} identity Set for identity columns
+  * @prop {string=} generatedExpression SQL expression of a generated column
   */
 
  /**
@@ -100,6 +344,8 @@ import fs from "node:fs/promises";
   * @prop {string=} ts
   * @prop {string=} zod
   * @prop {string=} convo
+  * @prop {string=} py
+  * @prop {string=} go
   * @prop {string=} sql
   */
 
@@ -108,13 +354,36 @@ const defaultTypeMap={
     _default:{
         name:'string',
     },
+
+    // character types
     text:{
         name:'string',
     },
+    varchar:{
+        name:'string',
+    },
+    bpchar:{
+        name:'string',
+    },
+    char:{
+        name:'string',
+    },
+    name:{
+        name:'string',
+    },
+    citext:{
+        name:'string',
+    },
+
+    // integer types
     int:{
         name:'number',
         zod:'z.number().int()',
     },
+    integer:{
+        name:'number',
+        zod:'z.number().int()',
+    },
     int2:{
         name:'number',
         zod:'z.number().int()',
@@ -127,6 +396,36 @@ const defaultTypeMap={
         name:'number',
         zod:'z.number().int()',
     },
+    smallserial:{
+        name:'number',
+        zod:'z.number().int()',
+    },
+    serial2:{
+        name:'number',
+        zod:'z.number().int()',
+    },
+    serial:{
+        name:'number',
+        zod:'z.number().int()',
+    },
+    serial4:{
+        name:'number',
+        zod:'z.number().int()',
+    },
+    bigserial:{
+        name:'number',
+        zod:'z.number().int()',
+    },
+    serial8:{
+        name:'number',
+        zod:'z.number().int()',
+    },
+    oid:{
+        name:'number',
+        zod:'z.number().int()',
+    },
+
+    // floating point and arbitrary precision types
     float:{
         name:'number',
     },
@@ -139,9 +438,22 @@ const defaultTypeMap={
     numeric:{
         name:'number',
     },
-    integer:{
+    decimal:{
         name:'number',
     },
+    money:{
+        name:'string',
+    },
+
+    // boolean
+    bool:{
+        name:'boolean',
+    },
+    boolean:{
+        name:'boolean',
+    },
+
+    // json
     json:{
         name:'json',
         ts:'Record<string,any>',
@@ -154,84 +466,277 @@ const defaultTypeMap={
         zod:'z.record(z.string(),z.any())',
         convo:'map',
     },
-    bool:{
-        name:'boolean',
+
+    // date and time types
+    timestamptz:{
+        name:'string',
+        zod:'z.string().datetime({offset:true})',
     },
-    boolean:{
-        name:'boolean',
+    timestamp:{
+        name:'string',
+        zod:'z.string().datetime({local:true})',
+    },
+    date:{
+        name:'string',
+        zod:'z.iso.date()',
+    },
+    time:{
+        name:'string',
+        zod:'z.iso.time()',
+    },
+    timetz:{
+        name:'string',
+    },
+    interval:{
+        name:'string',
+    },
+
+    // other string based types
+    uuid:{
+        name:'string',
+        zod:'z.string().uuid()',
+    },
+    bytea:{
+        name:'bytes',
+        ts:'Uint8Array',
+        zod:'z.instanceof(Uint8Array)',
+        convo:'any',
+    },
+    inet:{
+        name:'string',
+    },
+    cidr:{
+        name:'string',
+    },
+    macaddr:{
+        name:'string',
+    },
+    macaddr8:{
+        name:'string',
+    },
+    bit:{
+        name:'string',
+    },
+    varbit:{
+        name:'string',
+    },
+    tsvector:{
+        name:'string',
+    },
+    tsquery:{
+        name:'string',
+    },
+    xml:{
+        name:'string',
+    },
+
+    // range types are returned as strings, e.g. `[1,10)`
+    int4range:{
+        name:'string',
+    },
+    int8range:{
+        name:'string',
+    },
+    numrange:{
+        name:'string',
+    },
+    tsrange:{
+        name:'string',
+    },
+    tstzrange:{
+        name:'string',
+    },
+    daterange:{
+        name:'string',
+    },
+    int4multirange:{
+        name:'string',
+    },
+    int8multirange:{
+        name:'string',
+    },
+    nummultirange:{
+        name:'string',
+    },
+    tsmultirange:{
+        name:'string',
+    },
+    tstzmultirange:{
+        name:'string',
+    },
+    datemultirange:{
+        name:'string',
+    },
+
+    // geometric types
+    point:{
+        name:'point',
+        ts:'{x:number,y:number}',
+        zod:'z.object({x:z.number(),y:z.number()})',
+        convo:'map',
+    },
+    circle:{
+        name:'circle',
+        ts:'{x:number,y:number,radius:number}',
+        zod:'z.object({x:z.number(),y:z.number(),radius:z.number()})',
+        convo:'map',
+    },
+    line:{
+        name:'string',
+    },
+    lseg:{
+        name:'string',
+    },
+    box:{
+        name:'string',
+    },
+    path:{
+        name:'string',
+    },
+    polygon:{
+        name:'string',
     },
 }
 
-let indent='    ';
+/**
+ * Type mappings used for `int8` and `numeric` columns by each numeric mode. Postgres drivers
+ * commonly return these types as strings to avoid losing precision.
+ * @type {Record<NumericMode,{int:TypeMapping,decimal:TypeMapping}>}
+ */
+const numericModeTypes={
+    number:{
+        int:{
+            name:'number',
+            zod:'z.number().int()',
+        },
+        decimal:{
+            name:'number',
+        },
+    },
+    string:{
+        int:{
+            name:'string',
+            zod:'z.string().regex(/^-?\\d+$/)',
+        },
+        decimal:{
+            name:'string',
+            zod:'z.string().regex(/^-?\\d+(\\.\\d+)?$/)',
+        },
+    },
+    bigint:{
+        int:{
+            name:'bigint',
+            zod:'z.coerce.bigint()',
+            convo:'number',
+        },
+        decimal:{
+            name:'bigint',
+            zod:'z.coerce.bigint()',
+            convo:'number',
+        },
+    },
+}
 
-const main=async ()=>{
-    /** @type {Args} */
-    const args=parseArgs();
+/**
+ * Type mappings used for date and time columns when using the `date` timestamp mode
+ * @type {TypeMapping}
+ */
+const dateTypeMapping={
+    name:'Date',
+    zod:'z.coerce.date()',
+    convo:'string',
+}
 
-    if(args.outAry?.length){
-        if(!args.tsOutAry?.length){
-            args.tsOutAry=args.outAry.map(p=>Path.join(p,'types-ts.ts'));
-        }
-        if(!args.zodOutAry?.length){
-            args.zodOutAry=args.outAry.map(p=>Path.join(p,'types-zod.ts'));
-        }
-        if(!args.convoOutAry?.length){
-            args.convoOutAry=args.outAry.map(p=>Path.join(p,'types-convo.convo'));
-        }
-        if(!args.typeMapOutAry?.length){
-            args.typeMapOutAry=args.outAry.map(p=>Path.join(p,'type-map.json'));
-        }
-        if(!args.tableMapOutAry?.length){
-            args.tableMapOutAry=args.outAry.map(p=>Path.join(p,'type-table-map.json'));
-        }
-        if(!args.tsTableMapOutAry?.length){
-            args.tsTableMapOutAry=args.outAry.map(p=>Path.join(p,'type-table-map-ts.ts'));
-        }
-        if(!args.tsTypeDefOutAry?.length){
-            args.tsTypeDefOutAry=args.outAry.map(p=>Path.join(p,'type-defs.ts'));
-        }
-        if(!args.typeListOutAry?.length){
-            args.typeListOutAry=args.outAry.map(p=>Path.join(p,'type-list.json'));
-        }
-        if(!args.typeListShortOutAry?.length){
-            args.typeListShortOutAry=args.outAry.map(p=>Path.join(p,'type-list-short.json'));
+/**
+ * Applies the int8, numeric and timestamp modes to a type map. Undefined modes are not applied.
+ * @param {Record<string,TypeMapping>} typeMap
+ * @param {NumericMode|undefined} int8Mode
+ * @param {NumericMode|undefined} numericMode
+ * @param {TimestampMode|undefined} timestampMode
+ */
+const applyTypeModes=(typeMap,int8Mode,numericMode,timestampMode)=>{
+    if(int8Mode){
+        for(const type of ['int8','bigserial','serial8']){
+            typeMap[type]={...numericModeTypes[int8Mode].int};
         }
-        if(!args.parsedSqlOutAry?.length){
-            args.parsedSqlOutAry=args.outAry.map(p=>Path.join(p,'type-sql-src.json'));
+    }
+    if(numericMode){
+        for(const type of ['numeric','decimal']){
+            typeMap[type]={...numericModeTypes[numericMode].decimal};
         }
-        if(!args.tsSchemaBarrelOutAry?.length && !args.disableSchemaBarrel){
-            args.tsSchemaBarrelOutAry=args.outAry.map(p=>p+'.ts');
-            if(!args.barrelBase){
-                args.barrelBase=`./${Path.basename(args.outAry[0]??'schema')}/`;
-            }
+    }
+    if(timestampMode==='date'){
+        for(const type of ['timestamptz','timestamp','date']){
+            typeMap[type]={...dateTypeMapping};
         }
     }
+}
 
-    if(args.verbose==='true'){
-        verbose(true);
+let indent='    ';
+
+/**
+ * Generates types from SQL statements without writing any files. The returned outputs contain
+ * the rendered content of each output file. The `silent` and `verbose` options only apply to the
+ * call.
+ * @param {GenerateOptions} options
+ * @returns {Promise<GenerateResult>}
+ */
+export const generate=async (options={})=>{
+    const prevVerbose=verbose();
+    const prevSilent=silent();
+    if(options.verbose!==undefined){
+        verbose(options.verbose);
     }
-    if(verbose()){
-        print('Arguments',args);
+    if(options.silent!==undefined){
+        silent(options.silent);
     }
-    if(args.silent==='true'){
-        silent(true);
+    try{
+        return await generateOutputs(options);
+    }finally{
+        verbose(prevVerbose);
+        silent(prevSilent);
     }
+}
 
-    const insertSuffix=args.insertSuffix??'_insert';
-    const updateSuffix=args.updateSuffix??'_update';
+/**
+ * @param {GenerateOptions} options
+ * @returns {Promise<GenerateResult>}
+ */
+const generateOutputs=async (options)=>{
 
-    let typeMap=args.clearTypeMap==='true'?{}:{...defaultTypeMap};
-    if(args.typeMapFileAry){
-        for(const path of args.typeMapFileAry){
-            const map=await readJsonAsync(path);
-            if(!map || (typeof map !== 'object')){
-                throw new Error('type map file should contain a JSON object');
-            }
-            for(const type in map){
-                typeMap[type]={
-                    ...typeMap[type],
-                    ...map[type],
-                }
+    const insertSuffix=options.insertSuffix??'_insert';
+    const updateSuffix=options.updateSuffix??'_update';
+
+    /** @type {Record<string,TypeMapping>} */
+    let typeMap=options.clearTypeMap?{}:{...defaultTypeMap};
+    if(options.clearTypeMap){
+        // only modes that are explicitly set are applied to a cleared type map
+        applyTypeModes(typeMap,options.int8Mode,options.numericMode,options.timestampMode);
+    }else{
+        applyTypeModes(
+            typeMap,
+            options.int8Mode??'number',
+            options.numericMode??'number',
+            options.timestampMode??'string',
+        );
+    }
+    /** @type {Record<string,Partial<TypeMapping>>[]} */
+    const maps=[];
+    for(const path of options.typeMapFiles??[]){
+        const map=await readJsonAsync(path);
+        if(!map || (typeof map !== 'object')){
+            throw new Error('type map file should contain a JSON object');
+        }
+        maps.push(map);
+    }
+    if(options.typeMap){
+        maps.push(options.typeMap);
+    }
+    for(const map of maps){
+        for(const type in map){
+            typeMap[type]={
+                ...typeMap[type],
+                ...asAny(map[type]),
             }
         }
     }
@@ -239,31 +744,48 @@ const main=async ()=>{
     /** @type {string[]} */
     const sqlAry=[];
 
-    if(args.sqlAry){
-        sqlAry.push(...args.sqlAry);
+    /** @type {SqlSource[]} */
+    const sqlSources=[];
+
+    /**
+     * @param {string} path
+     * @param {string} content
+     */
+    const addSql=(path,content)=>{
+        const start=sqlAry.reduce((len,s)=>len+s.length+2,0);
+        sqlAry.push(content);
+        sqlSources.push({path,start,end:start+content.length});
+    }
+
+    if(options.sql){
+        for(const s of options.sql){
+            addSql('--sql',s);
+        }
     }
 
-    if(args.sqlFileAry){
-        for(const path of args.sqlFileAry){
-            print(`Load ${path}`);
+    for(const path of await getSqlFilePathsAsync(options.sqlDirs,options.sqlFiles)){
+        print(`Load ${path}`);
 
-            const sqlStatements=await readStringAsync(path);
+        const sqlStatements=await readStringAsync(path);
 
-            sqlAry.push(sqlStatements);
-        }
+        addSql(path,sqlStatements);
     }
 
     const sql=sqlAry.join('\n\n');
     
     /** @type {import('@pgsql/types').ParseResult} */
-    const parsedSql=await parse(sql);
+    let parsedSql;
+    try{
+        parsedSql=await parse(sql);
+    }catch(ex){
+        if(!options.continueOnError){
+            throw createSqlParseError(ex,sqlSources,sql,0);
+        }
+        // parse statements one at a time so that invalid statements can be skipped
+        parsedSql=await parseSqlStatementsAsync(sql,sqlSources);
+    }
     const statements=parsedSql.stmts??[];
 
-    if(args.parsedSqlOutAry){
-        print('Write parsed SQL');
-        await writeAryAsync(args.parsedSqlOutAry,JSON.stringify(parsedSql,null,4));
-    }
-
     /** @type {TypeDef[]} */
     const typeDefs=[];
 
@@ -276,6 +798,12 @@ const main=async ()=>{
     /** @type {SrcType[]} */
     const convoTypes=[];
 
+    /** @type {SrcType[]} */
+    const pyTypes=[];
+
+    /** @type {SrcType[]} */
+    const goTypes=[];
+
     /** @type {TableMap} */
     const tableMap={
         toName:{},
@@ -288,6 +816,10 @@ const main=async ()=>{
     const zodSource=[];
     /** @type {string[]} */
     const convoSource=[];
+    /** @type {string[]} */
+    const pySource=[];
+    /** @type {string[]} */
+    const goSource=[];
 
     /**
      * Get source comments
@@ -304,6 +836,12 @@ const main=async ()=>{
             case 'convo':
                 convoSource.push(s.value+'\n');
                 break;
+            case 'py':
+                pySource.push(s.value+'\n');
+                break;
+            case 'go':
+                goSource.push(s.value+'\n');
+                break;
             case undefined:
                 tsSource.push(s.value+'\n');
                 zodSource.push(s.value+'\n');
@@ -313,66 +851,456 @@ const main=async ()=>{
     }
     
 
-    // Search for enums first
-    for(const s of statements){
-        const c=getPgCreateEnum(s);
-        if(!c){
-            continue;
+    /** @type {TypeOptions} */
+    const typeOptions={
+        sqlSources,
+        zodDefaults:options.zodDefaults,
+        nullMode:options.nullMode??'optional',
+        pyModel:options.pyModel??'pydantic',
+        goNull:options.goNull??'pointer',
+        naming:{
+            singularNames:options.singularNames,
+            typePrefix:options.typePrefix,
+            typeSuffix:options.typeSuffix,
+            propCase:options.propCase,
+            zodSuffix:options.zodSuffix,
+            typeName:options.typeName,
+            propName:options.propName,
+            zodName:options.zodName,
+        },
+    };
+
+    // Replay create, alter, rename and drop statements to get the final state of the schema
+    const model=filterSchemaModel(
+        createSchemaModel(statements,sql,sqlSources),
+        options.includeSchemas,
+        options.excludeSchemas
+    );
+
+    typeOptions.schemaPrefixedNames=getSchemaPrefixedNames(model,options.schemaNames??'bare',typeOptions);
+    assertUniqueTypeNames(model,typeOptions,insertSuffix,updateSuffix);
+
+    // Create enums, domains and composite types first so they are registered in the type map
+    // before being referenced by tables
+    for(const e of model.enums){
+        createEnum(e,sql,typeMap,typeDefs,tsTypes,zodTypes,convoTypes,pyTypes,goTypes,typeOptions);
+    }
+
+    for(let i=0;i<model.domains.length;i++){
+        const d=model.domains[i];
+        if(d){
+            createDomain(d,i,sql,typeMap,typeDefs,tsTypes,zodTypes,pyTypes,goTypes,typeOptions);
         }
-        createEnum(c,sql,typeMap,typeDefs,tsTypes,zodTypes,convoTypes);
     }
 
-    for(const s of statements){
-        const c=getPgCreateTable(s);
-        if(!c){
-            continue;
+    for(let i=0;i<model.composites.length;i++){
+        const c=model.composites[i];
+        if(c){
+            createType(c,null,'',sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes,pyTypes,goTypes,typeOptions,i);
         }
-        createType(c,null,'',sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes);
-        createType(c,'insert',insertSuffix,sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes);
-        createType(c,'update',updateSuffix,sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes);
     }
 
+    for(const t of model.tables){
+        createType(t,null,'',sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes,pyTypes,goTypes,typeOptions);
+        createType(t,'insert',insertSuffix,sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes,pyTypes,goTypes,typeOptions);
+        createType(t,'update',updateSuffix,sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes,pyTypes,goTypes,typeOptions);
+    }
+
+    // Views are read-only and do not have insert or update types
+    for(const v of model.views){
+        createType(v,null,'',sql,typeMap,tableMap,typeDefs,tsTypes,zodTypes,convoTypes,pyTypes,goTypes,typeOptions);
+    }
+
+    createRelations(model,typeDefs);
+    if(options.withRelations){
+        createRelationTypes(typeDefs,tsTypes,zodTypes,pyTypes,goTypes,typeOptions.pyModel??'pydantic',typeOptions.naming,typeOptions.nullMode);
+    }
+
+    // docs, diagrams and ORM outputs list columns in declaration order
+    const declaredProps=new Map(typeDefs.map(t=>[t,[...t.props]]));
     sortObj(typeDefs);
-    const tsOut0=args.tsOutAry?.[0];
-    const zodOut0=args.zodOutAry?.[0];
+    const declaredTypeDefs=typeDefs.map(t=>({...t,props:declaredProps.get(t)??t.props}));
 
+    /** @type {QueryDef[]} */
+    const queries=[];
+    /** @type {string[]} */
+    const querySource=[];
+    for(const path of await getSqlFilePathsAsync(undefined,options.queryFiles)){
+        print(`Load queries ${path}`);
+        const content=await readStringAsync(path);
+        for(const s of parseComment(content,0,undefined,['source'],[],true)?.metadata??[]){
+            if(s.type==='ts' || s.type===undefined){
+                querySource.push(s.value+'\n');
+            }
+        }
+        queries.push(...await parseQueryFileAsync(path,content,model,typeMap,typeDefs));
+    }
+    for(const q of queries){
+        if(queries.some(o=>o!==q && o.name===q.name)){
+            throw new Error(`Multiple query files define a query named ${q.name}`);
+        }
+    }
+    if(querySource.length){querySource.push('\n')}
 
     if(tsSource.length){tsSource.push('\n\n')}
     if(zodSource.length){zodSource.push('\n\n')}
     if(convoSource.length){convoSource.push('\n\n')}
+    if(pySource.length){pySource.push('\n\n')}
+    if(goSource.length){goSource.push('\n')}
+
+    return {
+        typeDefs,
+        tableMap,
+        typeMap,
+        model,
+        parsedSql,
+        outputs:{
+            ts:tsSource.join('')+typesToString(tsTypes),
+            zod:zodSource.join('')+`import { z } from "zod";\n\n`+typesToString(zodTypes),
+            convo:convoSource.join('')+'> define\n\n'+typesToString(convoTypes),
+            py:pySource.join('')+getPyHeader(typeOptions.pyModel??'pydantic')+typesToString(pyTypes),
+            go:getGoHeader(options.goPackage??'models',goSource,goTypes)+typesToString(goTypes)+'\n',
+            typeDefs:createTypeDescriptionFile(typeDefs,options.tsImport,options.zodImport,options.importExt,typeOptions.naming),
+            typeList:JSON.stringify(typeDefs,null,4),
+            typeListShort:JSON.stringify(typeDefs.map(t=>({
+                ...t,
+                props:t.props?.map(p=>p.name)
+            })),null,4),
+            typeMap:JSON.stringify(typeMap,null,4),
+            tableMap:JSON.stringify(tableMap,null,4),
+            tsTableMap:`export const tableMap=`+JSON.stringify(tableMap,null,4),
+            parsedSql:JSON.stringify(parsedSql,null,4),
+            kysely:createKyselyFile(declaredTypeDefs,options.outputTsImports?.kysely??options.tsImport,options.importExt),
+            drizzle:createDrizzleFile(declaredTypeDefs,options.outputTsImports?.drizzle??options.tsImport,options.importExt),
+            mappers:createMappersFile(declaredTypeDefs,options.outputTsImports?.mappers??options.tsImport,options.importExt,insertSuffix,options.mapperJsonText),
+            queries:querySource.join('')+createQueriesFile(
+                queries,
+                options.outputTsImports?.queries??options.tsImport,
+                options.importExt,
+                typeDefs,
+                options.mapperJsonText
+            ),
+            supabase:createSupabaseFile(typeDefs,model.functions,typeMap),
+            docs:createDocsFile(declaredTypeDefs),
+            erd:createErdFile(declaredTypeDefs),
+            jsonSchema:createJsonSchemaFile(typeDefs,insertSuffix,updateSuffix,typeOptions.nullMode),
+            openApi:createOpenApiFile(
+                typeDefs,
+                insertSuffix,
+                updateSuffix,
+                options.openApiTitle??'Database Schema',
+                options.openApiVersion??'1.0.0',
+                typeOptions.nullMode
+            ),
+        }
+    };
+}
+
+/**
+ * Converts command line arguments to generate options
+ * @param {Args} args
+ * @returns {GenerateOptions}
+ */
+export const argsToGenerateOptions=(args)=>{
+    const tsOut0=args.tsOutAry?.[0];
+    const zodOut0=args.zodOutAry?.[0];
+    return {
+        sql:args.sqlAry,
+        sqlFiles:args.sqlFileAry,
+        sqlDirs:args.sqlDirAry,
+        typeMapFiles:args.typeMapFileAry,
+        queryFiles:args.queriesAry,
+        includeSchemas:args.includeSchemaAry,
+        excludeSchemas:args.excludeSchemaAry,
+        schemaNames:getModeArg('schema-names',args.schemaNames,'bare','prefix','auto'),
+        singularNames:args.singularNames==='true',
+        typePrefix:args.typePrefix,
+        typeSuffix:args.typeSuffix,
+        propCase:getModeArg('prop-case',args.propCase,'preserve','camel'),
+        zodSuffix:args.zodSuffix,
+        clearTypeMap:args.clearTypeMap==='true',
+        insertSuffix:args.insertSuffix,
+        updateSuffix:args.updateSuffix,
+        withRelations:args.withRelations==='true',
+        zodDefaults:args.zodDefaults==='true',
+        nullMode:getModeArg('null-mode',args.nullMode,'optional','nullable'),
+        int8Mode:args.int8Mode===undefined?undefined:getModeArg('int8-mode',args.int8Mode,'number','string','bigint'),
+        numericMode:args.numericMode===undefined?undefined:getModeArg('numeric-mode',args.numericMode,'number','string','bigint'),
+        timestampMode:args.timestampMode===undefined?undefined:getModeArg('timestamp-mode',args.timestampMode,'string','date'),
+        pyModel:getModeArg('py-model',args.pyModel,'pydantic','dataclass'),
+        goPackage:args.goPackage??(args.goOutAry?.[0]?getGoPackageName(Path.dirname(args.goOutAry[0])):undefined),
+        goNull:getModeArg('go-null',args.goNull,'pointer','sql'),
+        importExt:args.importExt,
+        continueOnError:args.continueOnError==='true',
+        openApiTitle:args.openapiTitle,
+        openApiVersion:args.openapiVersion,
+        mapperJsonText:args.mapperJsonText==='true',
+        tsImport:tsOut0?'./'+Path.basename(tsOut0):undefined,
+        outputTsImports:tsOut0?{
+            kysely:args.kyselyOutAry?.[0]?getRelativeImport(args.kyselyOutAry[0],tsOut0):undefined,
+            drizzle:args.drizzleOutAry?.[0]?getRelativeImport(args.drizzleOutAry[0],tsOut0):undefined,
+            mappers:args.mappersOutAry?.[0]?getRelativeImport(args.mappersOutAry[0],tsOut0):undefined,
+            queries:args.queriesOutAry?.[0]?getRelativeImport(args.queriesOutAry[0],tsOut0):undefined,
+        }:undefined,
+        zodImport:zodOut0?'./'+Path.basename(zodOut0):undefined,
+    }
+}
+
+/**
+ * Runs the command line interface. Arguments are merged with the options of the config file and
+ * selected profiles then outputs are generated for each profile.
+ */
+const main=async ()=>{
+    /** @type {Args} */
+    const cliArgs=parseArgs();
+
+    const configPath=await findConfigPathAsync(cliArgs.config);
+    let runs=await createRunsAsync(cliArgs,configPath);
+
+    const runAllAsync=async ()=>{
+        let stale=0;
+        for(const run of runs){
+            stale+=await generateFromArgsAsync(run.args,run.typeMap,run.naming);
+        }
+        return stale;
+    }
+
+    if(runs.some(r=>r.args.check==='true')){
+        const stale=await runAllAsync();
+        if(stale){
+            console.error(`${stale} generated file${stale===1?' is':'s are'} out of date. Run pg-schema-gen to regenerate`);
+            process.exitCode=1;
+        }else{
+            print('Generated files are up to date');
+        }
+        return;
+    }
+
+    if(!runs.some(r=>r.args.watch==='true')){
+        await runAllAsync();
+        return;
+    }
+
+    /** @type {()=>void} */
+    let closeWatchers=()=>{};
+
+    // errors are reported without exiting in watch mode. When the config file changes it is
+    // reloaded and the inputs of the reloaded config are watched.
+    /**
+     * @param {boolean} configChanged
+     */
+    const runWatchedAsync=async (configChanged)=>{
+        try{
+            if(configChanged){
+                runs=await createRunsAsync(cliArgs,configPath,true);
+                closeWatchers();
+                closeWatchers=watchInputs(runs.map(r=>r.args),runWatchedAsync,configPath);
+            }
+            await runAllAsync();
+        }catch(ex){
+            console.error(asAny(ex)?.message??ex);
+        }
+    }
+
+    await runWatchedAsync(false);
+    closeWatchers=watchInputs(runs.map(r=>r.args),runWatchedAsync,configPath);
+}
+
+/**
+ * @typedef CliRun
+ * @prop {Args} args
+ * @prop {Record<string,Partial<TypeMapping>>|undefined} typeMap
+ * @prop {ConfigNamingFunctions} naming
+ */
+
+/**
+ * Loads the config file and returns a run for each selected profile with the command line
+ * arguments merged with the options of the config file and profile.
+ * @param {Args} cliArgs
+ * @param {string|undefined} configPath
+ * @param {boolean=} reload Reloads JavaScript config files instead of using the cached module
+ * @returns {Promise<CliRun[]>}
+ */
+const createRunsAsync=async (cliArgs,configPath,reload=false)=>{
+    const config=configPath?await loadConfigAsync(configPath,reload):undefined;
+    if(cliArgs.profileAry?.length && !config){
+        throw new Error('--profile requires a pg-schema-gen config file');
+    }
+
+    /** @type {CliRun[]} */
+    const runs=[];
+    const profiles=cliArgs.profileAry?.length?cliArgs.profileAry:[undefined];
+    for(const profile of profiles){
+        const profileOptions=profile===undefined?undefined:config?.profiles?.[profile];
+        if(profile!==undefined && !profileOptions){
+            throw new Error(`No profile named "${profile}" defined in config file`);
+        }
+
+        /** @type {Args} */
+        const args={
+            ...(config?configToArgs(config):{}),
+            ...(profileOptions?configToArgs(profileOptions):{}),
+            ...cliArgs,
+        };
+        /** @type {Record<string,Partial<TypeMapping>>|undefined} */
+        const typeMap=(config?.typeMap || profileOptions?.typeMap)?{
+            ...config?.typeMap,
+            ...profileOptions?.typeMap,
+        }:undefined;
+
+        runs.push({
+            args,
+            typeMap,
+            naming:{
+                ...(config?getConfigNamingFunctions(config):{}),
+                ...(profileOptions?getConfigNamingFunctions(profileOptions):{}),
+            },
+        });
+    }
+    return runs;
+}
+
+/**
+ * Generates outputs and writes each output to the paths given by the output arguments. In check
+ * mode outputs are compared to the files on disk instead of being written.
+ * @param {Args} args
+ * @param {Record<string,Partial<TypeMapping>>=} typeMap Inline type map overrides of the config file
+ * @param {ConfigNamingFunctions=} naming Naming functions of the config file
+ * @returns {Promise<number>} The number of stale files found in check mode
+ */
+const generateFromArgsAsync=async (args,typeMap,naming)=>{
+
+    if(args.outAry?.length){
+        if(!args.tsOutAry?.length){
+            args.tsOutAry=args.outAry.map(p=>Path.join(p,'types-ts.ts'));
+        }
+        if(!args.zodOutAry?.length){
+            args.zodOutAry=args.outAry.map(p=>Path.join(p,'types-zod.ts'));
+        }
+        if(!args.convoOutAry?.length){
+            args.convoOutAry=args.outAry.map(p=>Path.join(p,'types-convo.convo'));
+        }
+        if(!args.typeMapOutAry?.length){
+            args.typeMapOutAry=args.outAry.map(p=>Path.join(p,'type-map.json'));
+        }
+        if(!args.tableMapOutAry?.length){
+            args.tableMapOutAry=args.outAry.map(p=>Path.join(p,'type-table-map.json'));
+        }
+        if(!args.tsTableMapOutAry?.length){
+            args.tsTableMapOutAry=args.outAry.map(p=>Path.join(p,'type-table-map-ts.ts'));
+        }
+        if(!args.tsTypeDefOutAry?.length){
+            args.tsTypeDefOutAry=args.outAry.map(p=>Path.join(p,'type-defs.ts'));
+        }
+        if(!args.typeListOutAry?.length){
+            args.typeListOutAry=args.outAry.map(p=>Path.join(p,'type-list.json'));
+        }
+        if(!args.typeListShortOutAry?.length){
+            args.typeListShortOutAry=args.outAry.map(p=>Path.join(p,'type-list-short.json'));
+        }
+        if(!args.parsedSqlOutAry?.length){
+            args.parsedSqlOutAry=args.outAry.map(p=>Path.join(p,'type-sql-src.json'));
+        }
+        if(!args.tsSchemaBarrelOutAry?.length && !args.disableSchemaBarrel){
+            args.tsSchemaBarrelOutAry=args.outAry.map(p=>p+'.ts');
+            if(!args.barrelBase){
+                args.barrelBase=`./${Path.basename(args.outAry[0]??'schema')}/`;
+            }
+        }
+    }
+
+    if(args.verbose==='true'){
+        verbose(true);
+    }
+    if(verbose()){
+        print('Arguments',args);
+    }
+    if(args.silent==='true'){
+        silent(true);
+    }
+
+    const {outputs}=await generate({...argsToGenerateOptions(args),typeMap,...naming});
+
+    /** @type {OutputFile[]} */
+    const files=[];
+    /**
+     * @param {string[]|undefined} paths
+     * @param {string} content
+     */
+    const addFile=(paths,content)=>{
+        if(paths?.length){
+            files.push({paths,content});
+        }
+    }
+    addFile(args.parsedSqlOutAry,outputs.parsedSql);
+    addFile(args.tsOutAry,outputs.ts);
+    addFile(args.typeListOutAry,outputs.typeList);
+    addFile(args.typeListShortOutAry,outputs.typeListShort);
+    addFile(args.tsTypeDefOutAry,outputs.typeDefs);
+    addFile(args.zodOutAry,outputs.zod);
+    addFile(args.convoOutAry,outputs.convo);
+    addFile(args.pydanticOutAry,outputs.py);
+    addFile(args.goOutAry,outputs.go);
+    addFile(args.typeMapOutAry,outputs.typeMap);
+    addFile(args.tableMapOutAry,outputs.tableMap);
+    addFile(args.tsTableMapOutAry,outputs.tsTableMap);
+    addFile(args.kyselyOutAry,outputs.kysely);
+    addFile(args.drizzleOutAry,outputs.drizzle);
+    addFile(args.supabaseOutAry,outputs.supabase);
+    addFile(args.mappersOutAry,outputs.mappers);
+    addFile(args.queriesOutAry,outputs.queries);
+    addFile(args.docsOutAry,outputs.docs);
+    addFile(args.erdOutAry,outputs.erd);
+    addFile(args.jsonSchemaOutAry,outputs.jsonSchema);
+    addFile(args.openapiOutAry,outputs.openApi);
+
+    const barrel=args.tsSchemaBarrelOutAry?getSchemaBarrel(
+        args.barrelBase,
+        args.tsTypeDefOutAry?.[0],
+        args.tsTableMapOutAry?.[0],
+        args.tsOutAry?.[0],
+        args.zodOutAry?.[0],
+        args.importExt
+    ):undefined;
+
+    if(args.check==='true'){
+        if(barrel!==undefined){
+            addFile(args.tsSchemaBarrelOutAry,barrel);
+        }
+        return await checkOutputFilesAsync(files);
+    }
+
+    // in watch mode only outputs with changed content are written
+    const onlyChanged=args.watch==='true';
 
-    await Promise.all([
-        args.tsOutAry?writeAryAsync(args.tsOutAry,typesToString(tsTypes),tsSource.join('')):null,
-        args.typeListOutAry?writeAryAsync(args.typeListOutAry,JSON.stringify(typeDefs,null,4)):null,
-        args.typeListShortOutAry?writeAryAsync(args.typeListShortOutAry,JSON.stringify(typeDefs.map(t=>({
-            ...t,
-            props:t.props?.map(p=>p.name)
-        })),null,4)):null,
-        args.tsTypeDefOutAry?writeAryAsync(args.tsTypeDefOutAry,createTypeDescriptionFile(
-            typeDefs,
-            tsOut0?'./'+Path.basename(tsOut0):undefined,
-            zodOut0?'./'+Path.basename(zodOut0):undefined,
-            args.importExt
-        )):null,
-        args.zodOutAry?writeAryAsync(args.zodOutAry,typesToString(zodTypes),zodSource.join('')+`import { z } from "zod";\n\n`):null,
-        args.convoOutAry?writeAryAsync(args.convoOutAry,typesToString(convoTypes),convoSource.join('')+'> define\n\n'):null,
-        args.typeMapOutAry?writeAryAsync(args.typeMapOutAry,JSON.stringify(typeMap,null,4)):null,
-        args.tableMapOutAry?writeAryAsync(args.tableMapOutAry,JSON.stringify(tableMap,null,4)):null,
-        args.tsTableMapOutAry?writeAryAsync(args.tsTableMapOutAry,JSON.stringify(tableMap,null,4),`export const tableMap=`):null,
-    ]);
+    await Promise.all(files.map(f=>writeAryAsync(f.paths,f.content,undefined,onlyChanged)));
 
     // always write barrel file last
-    if(args.tsSchemaBarrelOutAry){
-        await writeAryAsync(args.tsSchemaBarrelOutAry,getSchemaBarrel(
-            args.barrelBase,
-            args.tsTypeDefOutAry?.[0],
-            args.tsTableMapOutAry?.[0],
-            args.tsOutAry?.[0],
-            args.zodOutAry?.[0],
-            args.importExt
-        ))
+    if(args.tsSchemaBarrelOutAry && barrel!==undefined){
+        await writeAryAsync(args.tsSchemaBarrelOutAry,barrel,undefined,onlyChanged);
     }
 
+    return 0;
+}
+
+/**
+ * Compares output files to the files on disk and prints a unified diff of each stale file
+ * @param {OutputFile[]} files
+ * @returns {Promise<number>} The number of stale files
+ */
+const checkOutputFilesAsync=async (files)=>{
+    let stale=0;
+    for(const file of files){
+        for(const path of file.paths){
+            const current=await existsAsync(path)?(await fs.readFile(path)).toString():undefined;
+            if(current===file.content){
+                continue;
+            }
+            stale++;
+            console.log(createUnifiedDiff(path,current,file.content));
+        }
+    }
+    return stale;
 }
 
 const getSchemaBarrel=(
@@ -409,6 +1337,17 @@ const getFileName=(path,ext)=>{
     path=Path.basename(path);
     return replaceExt(path,ext);
 }
+/**
+ * Returns the path a file imports another file from, e.g. `../types-ts.ts`
+ * @param {string} from Path of the importing file
+ * @param {string} to Path of the imported file
+ * @returns {string}
+ */
+const getRelativeImport=(from,to)=>{
+    const path=Path.relative(Path.dirname(Path.resolve(from)),Path.resolve(to)).split(Path.sep).join('/');
+    return path.startsWith('.')?path:'./'+path;
+}
+
 /**
  * @param {string} path
  * @param {string=} ext 
@@ -428,13 +1367,17 @@ const replaceExt=(path,ext)=>{
 /**
  * Creates a TypeScript file that defines types a object
  * @param {TypeDef[]} types 
+ * @param {string=} typesImport
+ * @param {string=} zodImport
+ * @param {string=} ext
+ * @param {NamingOptions=} naming
  */
-const createTypeDescriptionFile=(types,typesImport='./types.ts',zodImport='./types-zod.ts',ext)=>{
+const createTypeDescriptionFile=(types,typesImport='./types.ts',zodImport='./types-zod.ts',ext,naming)=>{
     const tt=types.filter(t=>t.type==='type');
     const out=[
         
-`import type { ${tt.map(t=>`${t.name}, ${t.name}_insert`).join(', ')} } from "${replaceExt(typesImport,ext)}";
-import { ${tt.map(t=>`${t.name}Schema, ${t.name}_insertSchema`).join(', ')} } from "${replaceExt(zodImport,ext)}";
+`import type { ${tt.map(t=>t.readOnly?t.name:`${t.name}, ${t.name}_insert`).join(', ')} } from "${replaceExt(typesImport,ext)}";
+import { ${tt.map(t=>t.readOnly?getZodName(t.name,naming):`${getZodName(t.name,naming)}, ${getZodName(`${t.name}_insert`,naming)}`).join(', ')} } from "${replaceExt(zodImport,ext)}";
 import type { ZodType } from "zod";
 
 export interface TypeMapping
@@ -443,22 +1386,70 @@ export interface TypeMapping
     ts?:string;
     zod?:string;
     convo?:string;
+    py?:string;
+    go?:string;
     sql?:string;
 }
 
 export interface PropDef
 {
     name:string;
+    sqlName:string;
     type:TypeMapping;
     primary?:boolean;
     description?:string;
     sqlDef?:string;
     optional?:boolean;
+    nullable?:boolean;
     hasDefault?:boolean;
     isArray?:boolean;
     arrayDimensions?:number;
+    maxLength?:number;
+    precision?:number;
+    scale?:number;
+    checks?:string[];
+    defaultValue?:any;
+    defaultExpression?:string;
+    identity?:'always'|'byDefault';
+    generatedExpression?:string;
+}
+
+export interface IndexDef
+{
+    name?:string;
+    columns:string[];
+    unique?:boolean;
+    method?:string;
+    where?:string;
+    definition:string;
+}
+
+export interface ConstraintDef
+{
+    name?:string;
+    type:'primaryKey'|'unique'|'check'|'foreignKey'|'exclusion';
+    columns:string[];
+    definition:string;
+}
+
+export interface RelationDef
+{
+    name:string;
+    columns:string[];
+    targetType?:string;
+    targetTable:string;
+    targetSchema?:string;
+    targetColumns:string[];
+    cardinality:'one'|'many';
+    reverse?:boolean;
+    optional?:boolean;
+    constraintName?:string;
+    onDelete?:FkAction;
+    onUpdate?:FkAction;
 }
 
+export type FkAction='no action'|'restrict'|'cascade'|'set null'|'set default';
+
 export interface TypeDef<
     TValue extends Record<string,any>=Record<string,any>,
     TInsert extends Record<string,any>=Record<string,any>
@@ -467,10 +1458,20 @@ export interface TypeDef<
 
     name:string;
     description?:string;
-    type:'type'|'enum';
+    type:'type'|'enum'|'domain'|'composite';
     primaryKey?:(keyof TValue) & (keyof TInsert);
     sqlTable?:string;
     sqlSchema?:string;
+    sqlType?:string;
+    sqlViewType?:'view'|'materialized';
+    readOnly?:boolean;
+    baseType?:TypeMapping;
+    arrayDimensions?:number;
+    values?:string[];
+    checks?:string[];
+    relations?:RelationDef[];
+    indexes?:IndexDef[];
+    constraints?:ConstraintDef[];
     zodSchema?:ZodType;
     zodInsertSchema?:ZodType;
     props:PropDef[];
@@ -482,15 +1483,16 @@ export const typeDefs={
     
     for(const type of tt){
         const json=JSON.stringify(type,null,4);
+        const insertName=type.readOnly?type.name:`${type.name}_insert`;
         out.push(
 `    ${type.name}: ${
         json.substring(0,json.length-1).trim()
-            .replace(/\n( *)"(\w+)"/g,(_,s,p)=>`\n${s}${p}`)
+            .replace(/\n( *)"(\w+)":/g,(_,s,p)=>`\n${s}${p}:`)
             .replace(/\n/g,'\n    ')
     },
-        zodSchema: ${type.name}Schema,
-        zodInsertSchema: ${type.name}_insertSchema,
-    } as TypeDef<${type.name},${type.name}_insert> satisfies TypeDef<${type.name},${type.name}_insert>,\n\n`
+        zodSchema: ${getZodName(type.name,naming)},${type.readOnly?'':`
+        zodInsertSchema: ${getZodName(`${type.name}_insert`,naming)},`}
+    } as TypeDef<${type.name},${insertName}> satisfies TypeDef<${type.name},${insertName}>,\n\n`
         )
     }
 
@@ -545,7 +1547,7 @@ const sortObj=(obj)=>{
 }
 
 /**
- * @param {PgCreateTable} s
+ * @param {SchemaTable} s
  * @param {'insert'|'update'|null} forOp
  * @param {string} typeSuffix
  * @param {string} sql
@@ -555,6 +1557,10 @@ const sortObj=(obj)=>{
  * @param {SrcType[]} tsTypes
  * @param {SrcType[]} zodTypes
  * @param {SrcType[]} convoTypes
+ * @param {SrcType[]} pyTypes
+ * @param {SrcType[]} goTypes
+ * @param {TypeOptions} options
+ * @param {number=} sequence Declaration order of composite types
  */
 const createType=(
     s,
@@ -566,83 +1572,156 @@ const createType=(
     typeDefs,
     tsTypes,
     zodTypes,
-    convoTypes
+    convoTypes,
+    pyTypes,
+    goTypes,
+    options,
+    sequence
 )=>{
-    const baseName=toTsName(s.name);
+    const baseName=getTypeName(s,s.composite?'composite':s.viewType?'view':'table',options);
     const name=baseName+(forOp?typeSuffix:'');
-    if(!forOp){
-        tableMap.toName[s.name]=name;
+    const zodName=getZodName(name,options.naming);
+    if(s.composite){
+        setNamedTypeMapping(typeMap,s,{
+            name,
+            zod:zodName,
+            py:name,
+            go:name,
+        });
+    }else{
+        const qualifiedName=toSqlQualifiedName(s.name,s.schema);
+        if(!forOp){
+            tableMap.toName[qualifiedName]=name;
+        }
+        tableMap.toTable[name]=qualifiedName;
     }
-    tableMap.toTable[name]=s.name;
 
-    const typeDescription=s.location && !forOp?findComment(sql,s.location,true):undefined;
+    const typeDescription=!forOp?getStatementDescription(sql,s.location,s.comment):undefined;
+
+    const readOnly=s.viewType?true:false;
+
+    const type=s.composite?'composite':'type';
 
     /** @type {TypeDef} */
     const typeDef={
         name,
-        type:'type',
+        type,
         description:typeDescription,
-        sqlTable:s.name,
+        sqlTable:s.composite?undefined:s.name,
         sqlSchema:s.schema,
+        sqlType:s.composite?s.name:undefined,
+        sqlViewType:s.viewType,
+        readOnly:readOnly||undefined,
         props:[],
     };
 
+    const order=s.composite?3:readOnly?5:4;
+    /** @type {SrcType} */
+    const tsType={name,baseName,src:[],type,order,sequence,props:[]};
     /** @type {SrcType} */
-    const tsType={name,baseName,src:[],type:'type',order:2,props:[]};
+    const zodType={name,baseName,src:[],type,order,sequence,props:[]};
     /** @type {SrcType} */
-    const zodType={name,baseName,src:[],type:'type',order:2,props:[]};
+    const convoType={name,baseName,src:[],type,order,sequence,props:[]};
     /** @type {SrcType} */
-    const convoType={name,baseName,src:[],type:'type',order:2,props:[]};
+    const pyType={name,baseName,src:[],type,order,sequence,props:[]};
+    /** @type {string[]} */
+    const docLines=[];
+    /** @type {GoField[]} */
+    const goFields=[];
 
 
     tsType.src.push(`/**\n`);
     if(typeDescription){
         tsType.src.push(`${toJsDoc(typeDescription,'',true)}\n`);
         convoType.src.push(`${toConvoComment(typeDescription,'')}\n`);
+        docLines.push(...typeDescription.split('\n'),'');
     }
     if(forOp){
         tsType.src.push(` * @${forOp}For ${baseName}\n`);
         convoType.src.push(`# ${forOp}For: ${baseName}\n`);
+        docLines.push(`@${forOp}For ${baseName}`);
+    }
+    if(s.composite){
+        tsType.src.push(` * @compositeType ${s.name}\n`);
+        convoType.src.push(`# compositeType: ${s.name}\n`);
+        docLines.push(`@compositeType ${s.name}`);
+    }else if(s.viewType){
+        const tag=s.viewType==='materialized'?'materializedView':'view';
+        tsType.src.push(` * @${tag} ${s.name}\n`);
+        convoType.src.push(`# ${tag}: ${s.name}\n`);
+        docLines.push(`@${tag} ${s.name}`);
+    }else{
+        tsType.src.push(` * @table ${s.name}\n`);
+        convoType.src.push(`# table: ${s.name}\n`);
+        docLines.push(`@table ${s.name}`);
     }
-    tsType.src.push(` * @table ${s.name}\n`);
-    convoType.src.push(`# table: ${s.name}\n`);
     if(s.schema){
         tsType.src.push(` * @schema ${s.schema}\n`);
         convoType.src.push(`# schema: ${s.schema}\n`);
+        docLines.push(`@schema ${s.schema}`);
     }
     tsType.src.push(' */\n');
     zodType.src.push(...tsType.src);
     zodType.src.splice(1,typeDescription?1:0,` * Zod schema for the "${name}" interface\n`);
     tsType.src.push(`export interface ${name}\n{\n`);
-    zodType.src.push(`export const ${name}Schema=z.object({\n`);
+    zodType.src.push(`export const ${zodName}=z.object({\n`);
     convoType.src.push(`${name} = struct(\n`);
+    pyType.src.push(toPyClass(name,undefined,docLines,readOnly,options.pyModel??'pydantic'));
+    if(readOnly && options.pyModel!=='dataclass'){
+        pyType.src.push(`${indent}model_config = ConfigDict(frozen=True)\n\n`);
+    }
 
-    for(let ti=0;ti<s.tableElts.length;ti++){
-        const tableItem=s.tableElts[ti];
-        if(!tableItem){
-            continue;
-        }
-        const c=getPgColumnDef(tableItem);
-        if( !c ||
-            !c.colname
-        ){
+    const checks=getTableChecks(s);
+    /** @type {Record<string,boolean>} */
+    const jsColumns={};
+    /** @type {Record<string,string>} */
+    const propNames={};
+
+    for(const col of s.columns){
+        const c=col.def;
+        if(!c.colname){
             continue;
         }
-        const metadata=c.location?parseComment(sql,c.location):undefined;
-        const description=c.location && !forOp?metadata?.comment:undefined;
+        const metadata=getColumnMetadata(sql,col);
+        const description=!forOp?metadata?.comment||undefined:undefined;
         const prop=c.colname;
+        const propName=getPropName(prop,{sqlName:prop,kind:'column',table:s.name,schema:s.schema},options.naming);
+        propNames[prop]=propName;
         let arrayDepth=c.typeName?.arrayBounds?.length??0;;
         const dataType=getPgTypeName(c.typeName);
-        if(!dataType){
+        // view columns that could not be resolved to a type use the default type mapping
+        if(!dataType && !s.viewType){
             continue;
         }
         const constraints=getPgConstraints(c.constraints);
-        const notNull=constraints.some(c=>c.contype==='CONSTR_NOTNULL');
+        const sqlType=dataType;
+        const sqlTypeLower=sqlType?.toLowerCase();
+        if(sqlTypeLower && !typeMap[sqlTypeLower] && !forOp){
+            warn(`Unknown type ${sqlType} of column ${s.name}.${prop}, the default type mapping will be used - ${formatSqlSourceLocation(options.sqlSources,sql,c.location??0)}`);
+        }
+        const mt=(sqlTypeLower?typeMap[sqlTypeLower]:undefined)??typeMap['_default']??{name:'string'};
+        const zodTypeOverride=metadata?.metadata.find(m=>m.tag==='type' && m.type==='zod')??metadata?.metadata.find(m=>m.tag==='type' && m.type===undefined);
+        /** @type {'string'|'number'|undefined} */
+        const zodKind=zodTypeOverride?undefined:getCheckKind(sqlTypeLower,mt);
+        const typeMods=getPgTypeModifiers(c.typeName);
+        const propChecks=checks.filter(ch=>ch.columns.length===1 && ch.columns[0]===prop);
+        const zodChecks=propChecks.map(ch=>checkToZod(ch.expr,prop,arrayDepth?undefined:zodKind));
+        if(zodKind && !arrayDepth){
+            jsColumns[prop]=true;
+        }
+        const serial=serialSqlTypes.includes(sqlTypeLower??'');
+        // serial and identity columns are implicitly not null
+        const notNull=(
+            serial ||
+            constraints.some(c=>c.contype==='CONSTR_NOTNULL' || c.contype==='CONSTR_IDENTITY') ||
+            zodChecks.some(ch=>ch.notNull)
+        );
         const isPrimary=(
             constraints.some(c=>c.contype==='CONSTR_PRIMARY') ||
             s.constraintList.some(c=>c.contype==='CONSTR_PRIMARY' && getPgStrings(c.keys).includes(prop))
         );
-        const hasDefault=constraints.some(c=>(
+        // serial columns have an implicit sequence default
+        const hasDefault=serial || constraints.some(c=>(
             c.contype==='CONSTR_DEFAULT' ||
             c.contype==='CONSTR_GENERATED' ||
             (
@@ -657,11 +1736,13 @@ const createType=(
         :
             (notNull || isPrimary)
         );
-        const optional=!required;
-        
-        const sqlType=dataType;
-        const sqlTypeLower=sqlType.toLowerCase();
-        const mt=typeMap[sqlTypeLower]??typeMap['_default']??{name:'string'};
+        const nullable=!notNull && !isPrimary;
+        // In nullable mode nullable columns are always present in rows and allow null values
+        const nullType=options.nullMode==='nullable' && nullable;
+        const optional=!required && !(nullType && !forOp);
+        const columnDefault=getColumnDefault(constraints,getLiteralTypeMapping(mt,typeDefs),arrayDepth);
+        const identity=constraints.find(c=>c.contype==='CONSTR_IDENTITY')?.generated_when;
+        const generatedExpr=constraints.find(c=>c.contype==='CONSTR_GENERATED')?.raw_expr;
 
         if(description){
             tsType.src.push(`${toJsDoc(description,indent)}\n`);
@@ -669,152 +1750,6627 @@ const createType=(
         }
 
         const tsTypeOverride=metadata?.metadata.find(m=>m.tag==='type' && m.type==='ts')??metadata?.metadata.find(m=>m.tag==='type' && m.type===undefined);
-        tsType.src.push(`${indent}${prop}${optional?'?':''}:${tsTypeOverride?.value??mt.ts??mt.name}${'[]'.repeat(arrayDepth)};\n`);
+        tsType.src.push(`${indent}${readOnly?'readonly ':''}${propName}${optional?'?':''}:${tsTypeOverride?.value??mt.ts??mt.name}${'[]'.repeat(arrayDepth)}${nullType?'|null':''};\n`);
+
+
+        const convoTypeOverride=metadata?.metadata.find(m=>m.tag==='type' && m.type==='convo')??metadata?.metadata.find(m=>m.tag==='type' && m.type===undefined);
+        let convoProp=convoTypeOverride?.value??mt.convo??mt.name;
+        for(let a=0;a<arrayDepth;a++){
+            convoProp=`array(${convoProp})`
+        }
+        convoType.src.push(`${indent}${propName}${optional?'?':''}: ${convoProp}${nullType?'|null':''}\n`);
+
+
+        const pyTypeOverride=metadata?.metadata.find(m=>m.tag==='type' && m.type==='py');
+        pyType.src.push(toPyField(
+            prop,
+            `${'list['.repeat(arrayDepth)}${pyTypeOverride?.value??getPyType(mt,sqlTypeLower)}${']'.repeat(arrayDepth)}`,
+            optional,
+            nullType,
+            description,
+            (!arrayDepth && mt.name==='string')?typeMods.maxLength:undefined,
+            options.pyModel??'pydantic'
+        ));
+
+
+        const goTypeOverride=metadata?.metadata.find(m=>m.tag==='type' && m.type==='go');
+        const goProp='[]'.repeat(arrayDepth)+(goTypeOverride?.value??getGoType(mt,sqlTypeLower));
+        goFields.push({
+            name:toGoName(prop),
+            // Go structs match the rows returned by Postgres so all nullable columns are nullable
+            type:(notNull || isPrimary)?goProp:toGoNullable(goProp,options.goNull??'pointer'),
+            tag:`\`db:${JSON.stringify(prop)} json:${JSON.stringify(propName)}\``,
+            description,
+        });
+
+
+        let zodProp=zodTypeOverride?.value??mt.zod??('z.'+mt.name+'()');
+        zodProp+=typeModifiersToZod(typeMods,zodKind);
+        for(const ch of zodChecks){
+            zodProp+=ch.methods;
+        }
+        if(arrayDepth){
+            zodProp+='.array()'.repeat(arrayDepth);
+        }
+        if(
+            forOp==='insert' &&
+            options.zodDefaults &&
+            columnDefault?.value!==undefined &&
+            columnDefault.value!==null &&
+            !zodTypeOverride
+        ){
+            zodProp+=`${nullType?'.nullable()':''}.default(${toZodDefault(columnDefault.value,getLiteralTypeMapping(mt,typeDefs))})`;
+        }else if(nullType){
+            zodProp+=optional?'.nullish()':'.nullable()';
+        }else if(optional){
+            zodProp+='.optional()';
+        }
+        if(description){
+            zodProp+=`.describe(${JSON.stringify(description)})`;
+        }
+        zodType.src.push(`${indent}${propName}:${zodProp},\n`);
+
+        typeDef.props.push({
+            name:propName,
+            sqlName:prop,
+            type:{
+                ...mt,
+                ts:mt.ts??mt.name,
+                sql:sqlType,
+            },
+            primary:isPrimary?true:undefined,
+            description:description||undefined,
+            sqlDef:col.sqlDef,
+            optional:optional||undefined,
+            nullable:nullable||undefined,
+            hasDefault:hasDefault||undefined,
+            defaultValue:columnDefault?.value,
+            defaultExpression:columnDefault?.expression,
+            identity:identity==='a'?'always':identity==='d'?'byDefault':undefined,
+            generatedExpression:generatedExpr?deparseSync(generatedExpr):undefined,
+            isArray:arrayDepth?true:undefined,
+            arrayDimensions:arrayDepth||undefined,
+            ...typeMods,
+            checks:propChecks.length?propChecks.map(ch=>deparseSync(ch.expr)):undefined,
+        })
+    }
+
+    const objectChecks=checks.filter(ch=>ch.columns.length>1);
+    let objectRefines='';
+    if(forOp!=='update'){
+        for(const ch of objectChecks){
+            objectRefines+=checkToZodObjectRefine(ch.expr,col=>jsColumns[col]??false,col=>propNames[col]??col)??'';
+        }
+    }
+    if(objectChecks.length && !forOp){
+        typeDef.checks=objectChecks.map(ch=>deparseSync(ch.expr));
+    }
+    if(objectRefines){
+        zodType.refined=true;
+    }
+    if(!forOp && !s.composite){
+        const constraints=getTableConstraintDefs(s);
+        if(constraints.length){
+            typeDef.constraints=constraints;
+        }
+        if(s.indexes?.length){
+            typeDef.indexes=s.indexes.map(toIndexDef);
+        }
+    }
+
+
+    tsType.src.push('}');
+    if(!typeDef.props.length){
+        pyType.src.push(`${indent}pass\n`);
+    }
+    zodType.src.push(`})${objectRefines}${readOnly?'.readonly()':''}${typeDescription?`.describe(${JSON.stringify(typeDescription)})`:''};`);
+    convoType.src.push(')')
+
+    tsTypes.push(tsType);
+    zodTypes.push(zodType);
+    convoTypes.push(convoType);
+    pyTypes.push(pyType);
+    if(!forOp){
+        // Go structs are only generated for rows
+        goTypes.push({
+            name,
+            baseName,
+            src:[toGoStruct(name,docLines,goFields)],
+            type,
+            order,
+            sequence,
+            props:[],
+            imports:goFields.flatMap(f=>getGoTypeImports(f.type)),
+        });
+    }
+
+    typeDef.primaryKey=typeDef.props.find(p=>p.primary)?.name;
+    if(!forOp){
+        typeDefs.push(typeDef);
+    }
+}
+/**
+ * @param {SrcType[]} types
+ * @returns {string}
+ */
+const typesToString=(types)=>{
+    types.sort((a,b)=>srcTypeOrderName(a).localeCompare(srcTypeOrderName(b)));
+    return types.map(t=>t.src.join('')).join('\n\n');
+}
+
+/**
+ * @param {SrcType} type
+ */
+const srcTypeOrderName=(type)=>(
+    `${type.order.toString().padStart(3,'0')}_${
+        type.sequence===undefined?'':type.sequence.toString().padStart(6,'0')+'_'
+    }${type.baseName}`
+);
+
+/**
+ * @param {SchemaEnum} s
+ * @param {string} sql
+ * @param {Record<string,TypeMapping>} typeMap
+ * @param {TypeDef[]} typeDefs
+ * @param {SrcType[]} tsTypes
+ * @param {SrcType[]} zodTypes
+ * @param {SrcType[]} convoTypes
+ * @param {SrcType[]} pyTypes
+ * @param {SrcType[]} goTypes
+ * @param {TypeOptions} options
+ */
+const createEnum=(
+    s,
+    sql,
+    typeMap,
+    typeDefs,
+    tsTypes,
+    zodTypes,
+    convoTypes,
+    pyTypes,
+    goTypes,
+    options
+)=>{
+    const sqlName=s.name;
+    const name=getTypeName(s,'enum',options);
+    const zodName=getZodName(name,options.naming);
+
+    setNamedTypeMapping(typeMap,s,{
+        name:name,
+        zod:zodName,
+        py:name,
+        go:name,
+    });
+
+    const typeDescription=getStatementDescription(sql,s.location,s.comment);
+
+    /** @type {TypeDef} */
+    const typeDef={
+        name,
+        type:'enum',
+        description:typeDescription,
+        sqlSchema:s.schema,
+        sqlType:sqlName,
+        values:[...s.values],
+        props:[],
+    };
+    /** @type {SrcType} */
+    const tsType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
+    /** @type {SrcType} */
+    const zodType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
+    /** @type {SrcType} */
+    const convoType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
+    /** @type {SrcType} */
+    const pyType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
+
+
+    if(typeDescription){
+        tsType.src.push(`/**\n`);
+        tsType.src.push(`${toJsDoc(typeDescription,'',true)}\n`);
+        tsType.src.push(' */\n');
+
+        convoType.src.push(`${toConvoComment(typeDescription,'')}\n`);
+        pyType.src.push(`${toConvoComment(typeDescription,'')}\n`);
+    }
+    zodType.src.push(`/**\n`);
+    if(typeDescription){
+        zodType.src.push(`${toJsDoc(typeDescription,'',true)}\n`);
+    }
+    zodType.src.push(` * Zod schema for the "${name}" union\n`);
+    zodType.src.push(' */\n');
+    
+    tsType.src.push(`export type ${name}=`);
+    zodType.src.push(`export const ${zodName}=z.enum([`);
+    convoType.src.push(`${name} = enum(`);
+
+
+    const values=s.values.map(s=>JSON.stringify(s));
+
+    tsType.src.push(values.join('|'));
+    zodType.src.push(values.join(','));
+    convoType.src.push(values.join(' '));
+    pyType.src.push(`${name} = Literal[${values.join(', ')}]\n`);
+
+    /** @type {SrcType} */
+    const goType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
+    if(typeDescription){
+        goType.src.push(toGoComment([typeDescription],''));
+    }
+    goType.src.push(`type ${name} string`);
+    if(s.values.length){
+        const constNames=s.values.map((v,i)=>name+(toGoName(v)||`Value${i}`));
+        const nameLength=Math.max(...constNames.map(n=>n.length));
+        goType.src.push('\n\nconst (\n');
+        for(let i=0;i<s.values.length;i++){
+            goType.src.push(`\t${(constNames[i]??'').padEnd(nameLength)} ${name} = ${values[i]}\n`);
+        }
+        goType.src.push(')');
+    }
+
+
+    tsType.src.push(';');
+    zodType.src.push(`])${typeDescription?`.describe(${JSON.stringify(typeDescription)})`:''};`);
+    convoType.src.push(')')
+
+    tsTypes.push(tsType);
+    zodTypes.push(zodType);
+    convoTypes.push(convoType);
+    pyTypes.push(pyType);
+    goTypes.push(goType);
+    typeDefs.push(typeDef);
+}
+
+/**
+ * Creates a named type alias and Zod schema for a domain. Columns using the domain reference the
+ * generated type. Convo-Lang does not support type aliases so Convo structs use the base type of
+ * the domain.
+ * @param {SchemaDomain} s
+ * @param {number} sequence Declaration order of the domain
+ * @param {string} sql
+ * @param {Record<string,TypeMapping>} typeMap
+ * @param {TypeDef[]} typeDefs
+ * @param {SrcType[]} tsTypes
+ * @param {SrcType[]} zodTypes
+ * @param {SrcType[]} pyTypes
+ * @param {SrcType[]} goTypes
+ * @param {TypeOptions} options
+ */
+const createDomain=(
+    s,
+    sequence,
+    sql,
+    typeMap,
+    typeDefs,
+    tsTypes,
+    zodTypes,
+    pyTypes,
+    goTypes,
+    options
+)=>{
+    const sqlName=s.name;
+    const name=getTypeName(s,'domain',options);
+    const zodName=getZodName(name,options.naming);
+    const arrayDepth=s.typeName.arrayBounds?.length??0;
+    const baseSqlType=getPgTypeName(s.typeName)??'_default';
+    const base=typeMap[baseSqlType.toLowerCase()]??typeMap['_default']??{name:'string'};
+
+    let convo=base.convo??base.name;
+    for(let a=0;a<arrayDepth;a++){
+        convo=`array(${convo})`;
+    }
+    setNamedTypeMapping(typeMap,s,{
+        name:name,
+        zod:zodName,
+        convo,
+        py:name,
+        go:name,
+    });
+
+    const typeDescription=getStatementDescription(sql,s.location,s.comment);
+    /** @type {'string'|'number'|undefined} */
+    const zodKind=arrayDepth?undefined:getCheckKind(baseSqlType.toLowerCase(),base);
+    let zodMethods=typeModifiersToZod(getPgTypeModifiers(s.typeName),zodKind);
+    /** @type {string[]} */
+    const checks=[];
+    for(const c of s.constraints){
+        if(c.contype==='CONSTR_CHECK' && c.raw_expr){
+            checks.push(deparseSync(c.raw_expr));
+            // domain checks reference the checked value using the VALUE keyword
+            zodMethods+=checkToZod(c.raw_expr,'value',zodKind).methods;
+        }
+    }
+
+    /** @type {TypeDef} */
+    const typeDef={
+        name,
+        type:'domain',
+        description:typeDescription,
+        sqlSchema:s.schema,
+        sqlType:sqlName,
+        baseType:{
+            ...base,
+            ts:base.ts??base.name,
+            sql:baseSqlType,
+        },
+        arrayDimensions:arrayDepth||undefined,
+        checks:checks.length?checks:undefined,
+        props:[],
+    };
+    /** @type {SrcType} */
+    const tsType={name,baseName:name,src:[],type:'domain',order:2,sequence,props:[]};
+    /** @type {SrcType} */
+    const zodType={name,baseName:name,src:[],type:'domain',order:2,sequence,props:[]};
+    /** @type {SrcType} */
+    const pyType={name,baseName:name,src:[],type:'domain',order:2,sequence,props:[]};
+
+    tsType.src.push(`/**\n`);
+    if(typeDescription){
+        tsType.src.push(`${toJsDoc(typeDescription,'',true)}\n`);
+    }
+    tsType.src.push(` * @domain ${sqlName}\n`);
+    if(s.schema){
+        tsType.src.push(` * @schema ${s.schema}\n`);
+    }
+    for(const check of checks){
+        tsType.src.push(`${toJsDoc(`@check ${check}`,'',true)}\n`);
+    }
+    tsType.src.push(' */\n');
+    zodType.src.push(...tsType.src);
+    zodType.src.splice(1,typeDescription?1:0,` * Zod schema for the "${name}" domain\n`);
+
+    tsType.src.push(`export type ${name}=${base.ts??base.name}${'[]'.repeat(arrayDepth)};`);
+    zodType.src.push(`export const ${zodName}=${base.zod??('z.'+base.name+'()')}${zodMethods}${'.array()'.repeat(arrayDepth)}${
+        typeDescription?`.describe(${JSON.stringify(typeDescription)})`:''
+    };`);
+
+    if(typeDescription){
+        pyType.src.push(`${toConvoComment(typeDescription,'')}\n`);
+    }
+    pyType.src.push(`${name} = ${'list['.repeat(arrayDepth)}${getPyType(base,baseSqlType.toLowerCase())}${']'.repeat(arrayDepth)}\n`);
+
+    const goBase='[]'.repeat(arrayDepth)+getGoType(base,baseSqlType.toLowerCase());
+    /** @type {SrcType} */
+    const goType={
+        name,
+        baseName:name,
+        src:[],
+        type:'domain',
+        order:2,
+        sequence,
+        props:[],
+        imports:getGoTypeImports(goBase),
+    };
+    if(typeDescription){
+        goType.src.push(toGoComment([typeDescription],''));
+    }
+    goType.src.push(`type ${name} = ${goBase}`);
+
+    tsTypes.push(tsType);
+    zodTypes.push(zodType);
+    pyTypes.push(pyType);
+    goTypes.push(goType);
+    typeDefs.push(typeDef);
+}
+
+/**
+ * Adds relations to type definitions based on the foreign keys of tables. Each foreign key creates
+ * a relation on the referencing type and a reverse relation on the referenced type. Reverse
+ * relations are named after the relations of the referencing types. Relations that would have the
+ * same name as another relation of the type are named after their foreign key columns and an error
+ * is thrown if the names still conflict.
+ * @param {SchemaModel} model
+ * @param {TypeDef[]} typeDefs
+ */
+const createRelations=(model,typeDefs)=>{
+
+    /**
+     * @param {SchemaTable} table
+     */
+    const getTypeDef=(table)=>typeDefs.find(t=>(
+        t.type==='type' &&
+        !t.readOnly &&
+        t.sqlTable===table.name &&
+        isSameSchema(t.sqlSchema,table.schema)
+    ));
+
+    /**
+     * Returns the first name that does not conflict with the relations of a type. Names are
+     * compared by their type name since relation types are named `{Type}With{Relation}`.
+     * @param {TypeDef} typeDef
+     * @param {string[]} names
+     * @param {string} label
+     * @returns {string}
+     */
+    const getUniqueName=(typeDef,names,label)=>{
+        const name=names.find(n=>!typeDef.relations?.some(r=>toTsName(r.name)===toTsName(n)));
+        if(!name){
+            throw new Error(
+                `Multiple relations of ${typeDef.name} generate the same name, rename the foreign key `+
+                `columns or tables - ${label}: ${names.join(', ')}`
+            );
+        }
+        return name;
+    }
+
+    /**
+     * Reverse relations are added after all relations so relations keep the names of their
+     * foreign keys
+     * @type {{typeDef:TypeDef,names:string[],label:string,relation:Omit<RelationDef,'name'>}[]}
+     */
+    const reverseRelations=[];
+
+    for(const table of model.tables){
+        const typeDef=getTypeDef(table);
+        if(!typeDef){
+            continue;
+        }
+
+        for(const fk of getTableForeignKeys(table)){
+            const target=findModelTable(model,fk.constraint.pktable?.relname,fk.constraint.pktable?.schemaname);
+            const targetDef=target?getTypeDef(target):undefined;
+            const targetTable=fk.constraint.pktable?.relname??'';
+            const targetColumns=getPgStrings(fk.constraint.pk_attrs);
+            if(!targetColumns.length && target){
+                targetColumns.push(...getTablePrimaryKey(target));
+            }
+            const nullable=fk.columns.some(c=>!isColumnNotNull(table,c));
+
+            // foreign keys to the same table that are not named after the table by an `_id`
+            // column are named after their columns
+            const name=getUniqueName(typeDef,[
+                getRelationName(table,getForeignKeyName(fk.columns,targetTable)),
+                getRelationName(table,`${fk.columns.join('_')}_${targetTable}`),
+            ],`foreign key (${fk.columns.join(', ')}) of ${table.name}`);
+
+            /** @type {RelationDef} */
+            const relation={
+                name,
+                columns:fk.columns,
+                targetType:targetDef?.name,
+                targetTable,
+                targetSchema:fk.constraint.pktable?.schemaname,
+                targetColumns,
+                cardinality:'one',
+                optional:nullable||undefined,
+                constraintName:fk.constraint.conname,
+                onDelete:fkActions[fk.constraint.fk_del_action??''],
+                onUpdate:fkActions[fk.constraint.fk_upd_action??''],
+            };
+            (typeDef.relations??(typeDef.relations=[])).push(relation);
+
+            if(!targetDef){
+                continue;
+            }
+            const sameTableCount=getTableForeignKeys(table).filter(f=>f.constraint.pktable?.relname===targetTable).length;
+            reverseRelations.push({
+                typeDef:targetDef,
+                names:[
+                    getRelationName(target??table,sameTableCount>1?`${table.name}_${relation.name}`:table.name),
+                    getRelationName(target??table,`${table.name}_${fk.columns.join('_')}`),
+                ],
+                label:`reverse relation of foreign key (${fk.columns.join(', ')}) of ${table.name}`,
+                relation:{
+                    columns:targetColumns,
+                    targetType:typeDef.name,
+                    targetTable:table.name,
+                    targetSchema:table.schema,
+                    targetColumns:fk.columns,
+                    cardinality:isUniqueKey(table,fk.columns)?'one':'many',
+                    reverse:true,
+                    optional:true,
+                    constraintName:fk.constraint.conname,
+                    onDelete:relation.onDelete,
+                    onUpdate:relation.onUpdate,
+                },
+            });
+        }
+    }
+
+    for(const r of reverseRelations){
+        (r.typeDef.relations??(r.typeDef.relations=[])).push({
+            name:getUniqueName(r.typeDef,r.names,r.label),
+            ...r.relation,
+        });
+    }
+}
+
+/**
+ * Creates TypeScript, Zod, Python and Go types that extend a type with the related type of a
+ * relation
+ * @param {TypeDef[]} typeDefs
+ * @param {SrcType[]} tsTypes
+ * @param {SrcType[]} zodTypes
+ * @param {SrcType[]} pyTypes
+ * @param {SrcType[]} goTypes
+ * @param {PyModel} pyModel
+ * @param {NamingOptions=} naming
+ * @param {'optional'|'nullable'=} nullMode Optional relations are typed as `T|null` in the
+ *                                          `nullable` null mode
+ */
+const createRelationTypes=(typeDefs,tsTypes,zodTypes,pyTypes,goTypes,pyModel,naming,nullMode)=>{
+    const collisions=typeDefs.flatMap(t=>(t.relations??[])
+        .filter(r=>r.targetType && typeDefs.some(d=>d.name===`${t.name}With${toTsName(r.name)}`))
+        .map(r=>`${t.name}With${toTsName(r.name)}: "${r.name}" relation of ${t.name}`)
+    );
+    if(collisions.length){
+        throw new Error(
+            `Relation types generate the same name as other types, rename the foreign key columns `+
+            `or tables - ${collisions.join('; ')}`
+        );
+    }
+    for(const typeDef of typeDefs){
+        for(const r of typeDef.relations??[]){
+            if(!r.targetType){
+                continue;
+            }
+            const name=`${typeDef.name}With${toTsName(r.name)}`;
+            const prop=getPropName(r.name,{sqlName:r.name,kind:'relation',table:typeDef.sqlTable,schema:typeDef.sqlSchema},naming);
+            const many=r.cardinality==='many';
+            const related=many?`array of related ${r.targetType}`:`related ${r.targetType}`;
+            // zod does not allow extending refined schemas using extend
+            const extend=zodTypes.some(z=>z.name===typeDef.name && z.refined)?'safeExtend':'extend';
+            /** @type {SrcType} */
+            const tsType={name,baseName:typeDef.name,src:[],type:'type',order:6,props:[]};
+            /** @type {SrcType} */
+            const zodType={name,baseName:typeDef.name,src:[],type:'type',order:6,props:[]};
+            /** @type {SrcType} */
+            const pyType={name,baseName:typeDef.name,src:[],type:'type',order:6,props:[]};
+
+            tsType.src.push(`/**\n * ${typeDef.name} with the ${related} of the "${r.name}" relation\n * @relationFor ${typeDef.name}\n */\n`);
+            zodType.src.push(`/**\n * Zod schema for the "${name}" interface\n * @relationFor ${typeDef.name}\n */\n`);
+
+            const nullType=r.optional && !many && nullMode==='nullable';
+            const optional=r.optional && !many && !nullType;
+            tsType.src.push(`export interface ${name} extends ${typeDef.name}\n{\n${indent}${prop}${optional?'?':''}:${r.targetType}${many?'[]':''}${nullType?'|null':''};\n}`);
+            zodType.src.push(`export const ${getZodName(name,naming)}=${getZodName(typeDef.name,naming)}.${extend}({\n${indent}${prop}:${getZodName(r.targetType,naming)}${many?'.array()':''}${optional?'.optional()':''}${nullType?'.nullable()':''},\n});`);
+
+            pyType.src.push(toPyClass(
+                name,
+                typeDef.name,
+                [`${typeDef.name} with the ${related} of the "${r.name}" relation`,'',`@relationFor ${typeDef.name}`],
+                typeDef.readOnly??false,
+                pyModel
+            ));
+            pyType.src.push(toPyField(
+                r.name,
+                many?`list[${r.targetType}]`:r.targetType,
+                optional?true:false,
+                nullType?true:false,
+                undefined,
+                undefined,
+                pyModel
+            ));
+
+            /** @type {SrcType} */
+            const goType={name,baseName:typeDef.name,src:[],type:'type',order:6,props:[]};
+            const goRelationType=`${many?'[]':(optional || nullType)?'*':''}${r.targetType}`;
+            let goField=toGoName(r.name);
+            if(goField===typeDef.name){
+                // fields can not have the same name as the embedded struct
+                goField+='Relation';
+            }
+            goType.src.push(
+                toGoComment([`${name} is ${typeDef.name} with the ${related} of the "${r.name}" relation`],'')+
+                `type ${name} struct {\n\t${typeDef.name}\n\t${goField} ${goRelationType} \`db:"-" json:${JSON.stringify(prop)}\`\n}`
+            );
+
+            tsTypes.push(tsType);
+            zodTypes.push(zodType);
+            pyTypes.push(pyType);
+            goTypes.push(goType);
+        }
+    }
+}
+
+/**
+ * @typedef TableForeignKey
+ * @prop {string[]} columns
+ * @prop {Pg.Constraint} constraint
+ */
+
+/**
+ * Returns the inline and table level foreign keys of a table
+ * @param {SchemaTable} table
+ * @returns {TableForeignKey[]}
+ */
+const getTableForeignKeys=(table)=>{
+    /** @type {TableForeignKey[]} */
+    const keys=[];
+    for(const col of table.columns){
+        for(const c of getPgConstraints(col.def.constraints)){
+            if(c.contype==='CONSTR_FOREIGN' && col.def.colname){
+                keys.push({columns:[col.def.colname],constraint:c});
+            }
+        }
+    }
+    for(const c of table.constraintList){
+        if(c.contype==='CONSTR_FOREIGN'){
+            keys.push({columns:getPgStrings(c.fk_attrs),constraint:c});
+        }
+    }
+    return keys;
+}
+
+/**
+ * @param {SchemaTable} table
+ * @returns {string[]}
+ */
+const getTablePrimaryKey=(table)=>{
+    for(const col of table.columns){
+        if(col.def.colname && getPgConstraints(col.def.constraints).some(c=>c.contype==='CONSTR_PRIMARY')){
+            return [col.def.colname];
+        }
+    }
+    return getPgStrings(table.constraintList.find(c=>c.contype==='CONSTR_PRIMARY')?.keys);
+}
+
+/**
+ * @param {SchemaTable} table
+ * @param {string} column
+ * @returns {boolean}
+ */
+const isColumnNotNull=(table,column)=>{
+    const col=table.columns.find(c=>c.def.colname===column);
+    return (
+        getPgConstraints(col?.def.constraints).some(c=>c.contype==='CONSTR_NOTNULL' || c.contype==='CONSTR_PRIMARY') ||
+        getTablePrimaryKey(table).includes(column)
+    );
+}
+
+/**
+ * Returns true if the columns are covered by a primary key or unique constraint
+ * @param {SchemaTable} table
+ * @param {string[]} columns
+ * @returns {boolean}
+ */
+const isUniqueKey=(table,columns)=>{
+    /** @type {string[][]} */
+    const keys=[getTablePrimaryKey(table)];
+    for(const col of table.columns){
+        if(col.def.colname && getPgConstraints(col.def.constraints).some(c=>c.contype==='CONSTR_UNIQUE')){
+            keys.push([col.def.colname]);
+        }
+    }
+    for(const c of table.constraintList){
+        if(c.contype==='CONSTR_UNIQUE'){
+            keys.push(getPgStrings(c.keys));
+        }
+    }
+    return keys.some(k=>k.length && k.every(c=>columns.includes(c)));
+}
+
+/**
+ * Returns the name of a foreign key relation. Single column keys ending with `_id` use the column
+ * name without the suffix, otherwise the name of the referenced table is used.
+ * @param {string[]} columns
+ * @param {string} targetTable
+ * @returns {string}
+ */
+const getForeignKeyName=(columns,targetTable)=>{
+    const col=columns.length===1?columns[0]:undefined;
+    return col?.toLowerCase().endsWith('_id')?col.substring(0,col.length-3):targetTable;
+}
+
+/**
+ * Adds a `_relation` suffix to the name of a relation if it conflicts with a column of the table
+ * the relation is added to.
+ * @param {SchemaTable} table
+ * @param {string} name
+ * @returns {string}
+ */
+const getRelationName=(table,name)=>{
+    if(table.columns.some(c=>c.def.colname===name)){
+        return name+'_relation';
+    }
+    return name;
+}
+
+/**
+ * @type {Record<string,FkAction>}
+ */
+const fkActions={
+    a:'no action',
+    r:'restrict',
+    c:'cascade',
+    n:'set null',
+    d:'set default',
+}
+
+///// Supabase
+
+/**
+ * Creates a TypeScript file that defines a `Database` type in the shape generated by the Supabase
+ * CLI. The type can be passed to `createClient<Database>()` of supabase-js.
+ * @param {TypeDef[]} typeDefs
+ * @param {SchemaFunction[]} functions Functions callable using `rpc()`
+ * @param {Record<string,TypeMapping>} typeMap Used to map the argument and return types of functions
+ * @returns {string}
+ */
+export const createSupabaseFile=(typeDefs,functions=[],typeMap={})=>{
+    /** @type {Record<string,TypeDef[]>} */
+    const schemas={};
+    for(const t of typeDefs){
+        const schema=t.sqlSchema||'public';
+        (schemas[schema]??(schemas[schema]=[])).push(t);
+    }
+    for(const f of functions){
+        const schema=f.schema||'public';
+        if(!schemas[schema]){
+            schemas[schema]=[];
+        }
+    }
+    if(!schemas['public']){
+        schemas['public']=[];
+    }
+
+    const i1=indent;
+    const i2=indent.repeat(2);
+    const i3=indent.repeat(3);
+    const i4=indent.repeat(4);
+    const never=`{\n${i3}[_ in never]: never\n${i2}}`;
+
+    const out=[
+`export type Json =
+${i1}| string
+${i1}| number
+${i1}| boolean
+${i1}| null
+${i1}| { [key: string]: Json | undefined }
+${i1}| Json[]
+
+export type Database = {
+`];
+
+    for(const schema of Object.keys(schemas).sort()){
+        const types=schemas[schema]??[];
+        const tables=types.filter(t=>t.type==='type' && t.sqlTable && !t.sqlViewType);
+        const views=types.filter(t=>t.type==='type' && t.sqlViewType);
+        const enums=types.filter(t=>t.type==='enum');
+        const composites=types.filter(t=>t.type==='composite');
+
+        out.push(`${i1}${toTsPropName(schema)}: {\n`);
+
+        out.push(`${i2}Tables: `);
+        if(tables.length){
+            out.push('{\n');
+            for(const t of tables){
+                out.push(`${i3}${toTsPropName(t.sqlTable??t.name)}: {\n`);
+                out.push(`${i4}Row: ${createSupabaseRow(t,'row',typeDefs,5)}\n`);
+                out.push(`${i4}Insert: ${createSupabaseRow(t,'insert',typeDefs,5)}\n`);
+                out.push(`${i4}Update: ${createSupabaseRow(t,'update',typeDefs,5)}\n`);
+                out.push(`${i4}Relationships: ${createSupabaseRelationships(t,typeDefs,5)}\n`);
+                out.push(`${i3}}\n`);
+            }
+            out.push(`${i2}}\n`);
+        }else{
+            out.push(`${never}\n`);
+        }
+
+        out.push(`${i2}Views: `);
+        if(views.length){
+            out.push('{\n');
+            for(const t of views){
+                out.push(`${i3}${toTsPropName(t.sqlTable??t.name)}: {\n`);
+                out.push(`${i4}Row: ${createSupabaseRow(t,'row',typeDefs,5)}\n`);
+                out.push(`${i4}Relationships: ${createSupabaseRelationships(t,typeDefs,5)}\n`);
+                out.push(`${i3}}\n`);
+            }
+            out.push(`${i2}}\n`);
+        }else{
+            out.push(`${never}\n`);
+        }
+
+        // trigger functions can not be called using rpc()
+        const schemaFunctions=functions.filter(f=>(
+            isSameSchema(f.schema,schema) &&
+            !['trigger','event_trigger'].includes(getPgTypeName(f.returnType)?.toLowerCase()??'')
+        ));
+        out.push(`${i2}Functions: `);
+        if(schemaFunctions.length){
+            out.push('{\n');
+            for(const name of [...new Set(schemaFunctions.map(f=>f.name))]){
+                // overloads are a union of their signatures
+                out.push(`${i3}${toTsPropName(name)}: ${schemaFunctions
+                    .filter(f=>f.name===name)
+                    .map(f=>createSupabaseFunction(f,schema,typeDefs,typeMap))
+                    .join(' | ')
+                }\n`);
+            }
+            out.push(`${i2}}\n`);
+        }else{
+            out.push(`${never}\n`);
+        }
+
+        out.push(`${i2}Enums: `);
+        if(enums.length){
+            out.push('{\n');
+            for(const e of enums){
+                out.push(`${i3}${toTsPropName(e.sqlType??e.name)}: ${
+                    (e.values??[]).map(v=>JSON.stringify(v)).join(' | ')||'never'
+                }\n`);
+            }
+            out.push(`${i2}}\n`);
+        }else{
+            out.push(`${never}\n`);
+        }
+
+        out.push(`${i2}CompositeTypes: `);
+        if(composites.length){
+            out.push('{\n');
+            for(const c of composites){
+                out.push(`${i3}${toTsPropName(c.sqlType??c.name)}: ${createSupabaseRow(c,'composite',typeDefs,4)}\n`);
+            }
+            out.push(`${i2}}\n`);
+        }else{
+            out.push(`${never}\n`);
+        }
+
+        out.push(`${i1}}\n`);
+    }
+    out.push('}\n');
+    return out.join('');
+}
+
+/**
+ * Creates the object type of a Row, Insert or Update type. Row types include all columns,
+ * Insert types make columns with defaults and nullable columns optional and Update types make all
+ * columns optional. Generated columns can not be inserted or updated.
+ * @param {TypeDef} t
+ * @param {'row'|'insert'|'update'|'composite'} variant
+ * @param {TypeDef[]} typeDefs
+ * @param {number} depth Indentation depth of properties
+ * @returns {string}
+ */
+const createSupabaseRow=(t,variant,typeDefs,depth)=>{
+    if(!t.props.length){
+        return `{\n${indent.repeat(depth)}[_ in never]: never\n${indent.repeat(depth-1)}}`;
+    }
+    const out=['{\n'];
+    for(const p of t.props){
+        // props record the optionality of the row type
+        const nullable=(p.optional || p.nullable)?true:false;
+        const isInput=variant==='insert' || variant==='update';
+        const generated=isInput && (p.identity==='always' || p.generatedExpression)?true:false;
+        const optional=(variant==='update' || generated || (variant==='insert' && (nullable || p.hasDefault)));
+        let type=getSupabaseType(p.type,p.arrayDimensions??0,t.sqlSchema,typeDefs);
+        if(generated){
+            type='never';
+        }else if(nullable){
+            type+=' | null';
+        }
+        out.push(`${indent.repeat(depth)}${toTsPropName(p.sqlName)}${optional?'?':''}: ${type}\n`);
+    }
+    out.push(`${indent.repeat(depth-1)}}`);
+    return out.join('');
+}
+
+/**
+ * Creates the `Args` and `Returns` types of a function. Arguments with defaults are optional.
+ * Functions with `out` or `table` parameters return an object of the parameters and functions
+ * returning `setof` return an array.
+ * @param {SchemaFunction} f
+ * @param {string} schema
+ * @param {TypeDef[]} typeDefs
+ * @param {Record<string,TypeMapping>} typeMap
+ * @returns {string}
+ */
+const createSupabaseFunction=(f,schema,typeDefs,typeMap)=>{
+    const i3=indent.repeat(3);
+    const i4=indent.repeat(4);
+    const i5=indent.repeat(5);
+
+    /**
+     * @param {Pg.TypeName|undefined} typeName
+     * @returns {string}
+     */
+    const getType=(typeName)=>{
+        const sqlType=getPgTypeName(typeName)?.toLowerCase();
+        const arrayDimensions=typeName?.arrayBounds?.length??0;
+        const {name,schema:typeSchema}=splitPgName(getPgStrings(typeName?.names));
+        const row=typeDefs.find(t=>t.type==='type' && t.sqlTable===name && isSameSchema(t.sqlSchema,typeSchema));
+        if(row){
+            const group=row.sqlViewType?'Views':'Tables';
+            return `Database[${JSON.stringify(row.sqlSchema||'public')}][${JSON.stringify(group)}][${JSON.stringify(row.sqlTable)}]["Row"]${'[]'.repeat(arrayDimensions)}`;
+        }
+        if(sqlType==='void'){
+            return 'undefined';
+        }
+        const mt=(sqlType?typeMap[sqlType]:undefined)??typeMap['_default']??{name:'string'};
+        return getSupabaseType(mt,arrayDimensions,schema,typeDefs);
+    }
+
+    const args=f.parameters.filter(isFunctionInput);
+    const outputs=f.parameters.filter(p=>p.mode==='FUNC_PARAM_OUT' || p.mode==='FUNC_PARAM_INOUT' || p.mode==='FUNC_PARAM_TABLE');
+    const setof=f.returnType?.setof || outputs.some(p=>p.mode==='FUNC_PARAM_TABLE');
+
+    const out=['{\n'];
+    if(args.length){
+        out.push(`${i4}Args: {\n`);
+        for(const p of args){
+            out.push(`${i5}${toTsPropName(p.name??'')}${p.defexpr?'?':''}: ${getType(p.argType)}\n`);
+        }
+        out.push(`${i4}}\n`);
+    }else{
+        out.push(`${i4}Args: never\n`);
+    }
+
+    let returns;
+    if(outputs.length===1 && !outputs.some(p=>p.mode==='FUNC_PARAM_TABLE')){
+        returns=getType(outputs[0]?.argType);
+    }else if(outputs.length){
+        returns=`{\n${outputs.map(p=>`${i5}${toTsPropName(p.name??'')}: ${getType(p.argType)} | null\n`).join('')}${i4}}`;
+    }else{
+        returns=getType(f.returnType);
+    }
+    if(setof){
+        returns=(returns.includes('|') && !returns.startsWith('{'))?`(${returns})[]`:returns+'[]';
+    }
+    out.push(`${i4}Returns: ${returns}\n`);
+    out.push(`${i3}}`);
+    return out.join('');
+}
+
+/**
+ * @param {TypeMapping} mt
+ * @param {number} arrayDimensions
+ * @param {string|undefined} schema Schema of the type that uses the type
+ * @param {TypeDef[]} typeDefs
+ * @returns {string}
+ */
+const getSupabaseType=(mt,arrayDimensions,schema,typeDefs)=>{
+    const named=typeDefs.find(t=>t.name===mt.name && t.type!=='type');
+    let type;
+    if(named?.type==='domain' && named.baseType){
+        return getSupabaseType(
+            named.baseType,
+            arrayDimensions+(named.arrayDimensions??0),
+            named.sqlSchema,
+            typeDefs
+        );
+    }else if(named){
+        const group=named.type==='enum'?'Enums':'CompositeTypes';
+        type=`Database[${JSON.stringify(named.sqlSchema||schema||'public')}][${JSON.stringify(group)}][${JSON.stringify(named.sqlType??named.name)}]`;
+    }else if(mt.name==='json'){
+        type='Json';
+    }else{
+        type=mt.ts??mt.name;
+    }
+    return type+'[]'.repeat(arrayDimensions);
+}
+
+/**
+ * @param {TypeDef} t
+ * @param {TypeDef[]} typeDefs
+ * @param {number} depth
+ * @returns {string}
+ */
+const createSupabaseRelationships=(t,typeDefs,depth)=>{
+    const fks=(t.relations??[]).filter(r=>!r.reverse);
+    if(!fks.length){
+        return '[]';
+    }
+    const i=indent.repeat(depth);
+    const out=['[\n'];
+    for(const r of fks){
+        const target=typeDefs.find(d=>d.name===r.targetType);
+        const targetKeys=target?.props.filter(p=>p.primary).map(p=>p.sqlName)??[];
+        const isOneToOne=(
+            r.columns.length===t.props.filter(p=>p.primary).length &&
+            r.columns.every(c=>t.props.find(p=>p.sqlName===c)?.primary)
+        );
+        out.push(`${indent.repeat(depth-1)}${indent}{\n`);
+        out.push(`${i}${indent}foreignKeyName: ${JSON.stringify(r.constraintName??`${t.sqlTable}_${r.columns.join('_')}_fkey`)}\n`);
+        out.push(`${i}${indent}columns: [${r.columns.map(c=>JSON.stringify(c)).join(', ')}]\n`);
+        out.push(`${i}${indent}isOneToOne: ${isOneToOne}\n`);
+        out.push(`${i}${indent}referencedRelation: ${JSON.stringify(r.targetTable)}\n`);
+        out.push(`${i}${indent}referencedColumns: [${(r.targetColumns.length?r.targetColumns:targetKeys).map(c=>JSON.stringify(c)).join(', ')}]\n`);
+        out.push(`${indent.repeat(depth-1)}${indent}},\n`);
+    }
+    out.push(`${indent.repeat(depth-1)}]`);
+    return out.join('');
+}
+
+///// Documentation
+
+/**
+ * Creates a Markdown reference of tables, views, composite types, enums and domains
+ * @param {TypeDef[]} typeDefs
+ * @returns {string}
+ */
+export const createDocsFile=(typeDefs)=>{
+    const groups=[
+        {title:'Tables',types:typeDefs.filter(t=>t.type==='type' && !t.sqlViewType)},
+        {title:'Views',types:typeDefs.filter(t=>t.type==='type' && t.sqlViewType)},
+        {title:'Composite Types',types:typeDefs.filter(t=>t.type==='composite')},
+        {title:'Enums',types:typeDefs.filter(t=>t.type==='enum')},
+        {title:'Domains',types:typeDefs.filter(t=>t.type==='domain')},
+    ].filter(g=>g.types.length);
+
+    const out=['# Database Schema\n'];
+    for(const g of groups){
+        out.push(`\n- ${g.title}\n`);
+        for(const t of g.types){
+            const heading=getDocsHeading(t);
+            out.push(`  - [${heading}](#${toMarkdownAnchor(heading)})\n`);
+        }
+    }
+
+    for(const g of groups){
+        out.push(`\n## ${g.title}\n`);
+        for(const t of g.types){
+            out.push(`\n### ${getDocsHeading(t)}\n`);
+            if(t.description){
+                out.push(`\n${t.description}\n`);
+            }
+            out.push(createDocsTypeBody(t,typeDefs));
+        }
+    }
+    return out.join('');
+}
+
+/**
+ * @param {TypeDef} t
+ * @returns {string}
+ */
+const getDocsHeading=(t)=>{
+    const name=t.sqlTable??t.sqlType??t.name;
+    return `${docsTypeLabels[t.sqlViewType??t.type]} ${t.sqlSchema?`${t.sqlSchema}.${name}`:name}`;
+}
+
+/** @type {Record<string,string>} */
+const docsTypeLabels={
+    type:'Table',
+    view:'View',
+    materialized:'Materialized View',
+    composite:'Composite Type',
+    enum:'Enum',
+    domain:'Domain',
+};
+
+/**
+ * @param {TypeDef} t
+ * @param {TypeDef[]} typeDefs
+ * @returns {string}
+ */
+const createDocsTypeBody=(t,typeDefs)=>{
+    const out=[];
+    switch(t.type){
+
+        case 'enum':
+            out.push(`\nValues: ${(t.values??[]).map(v=>toMarkdownCode(v)).join(', ')}\n`);
+            break;
+
+        case 'domain':
+            if(t.baseType){
+                out.push(`\nBase type: ${toMarkdownCode(getDocsSqlType(t.baseType.sql??t.baseType.name,{},t.arrayDimensions))}\n`);
+            }
+            if(t.checks?.length){
+                out.push(`\nChecks:\n\n${t.checks.map(c=>`- ${toMarkdownCode(c)}\n`).join('')}`);
+            }
+            break;
+
+        default:{
+            out.push(`\nType: ${toMarkdownCode(t.name)}\n`);
+            out.push('\n| Column | SQL Type | TS Type | Nullable | Default | Description |\n');
+            out.push('|--------|----------|---------|----------|---------|-------------|\n');
+            for(const p of t.props){
+                out.push(`| ${[
+                    toMarkdownCell(p.sqlName),
+                    toMarkdownCode(getDocsSqlType(p.type.sql??p.type.name,p,p.arrayDimensions)),
+                    toMarkdownCode(`${p.type.ts??p.type.name}${'[]'.repeat(p.arrayDimensions??0)}`),
+                    (p.optional || p.nullable)?'yes':'no',
+                    getDocsDefault(p),
+                    toMarkdownCell(p.description??''),
+                ].join(' | ')} |\n`);
+            }
+
+            const primaryKey=t.props.filter(p=>p.primary).map(p=>p.sqlName);
+            if(primaryKey.length){
+                out.push(`\nPrimary key: ${primaryKey.map(c=>toMarkdownCode(c)).join(', ')}\n`);
+            }
+
+            if(t.indexes?.length){
+                out.push('\nIndexes:\n\n| Name | Columns | Unique | Definition |\n|------|---------|--------|------------|\n');
+                for(const i of t.indexes){
+                    out.push(`| ${[
+                        toMarkdownCell(i.name??getDefaultIndexName(t,i.columns)),
+                        i.columns.map(c=>toMarkdownCode(c)).join(', '),
+                        i.unique?'yes':'no',
+                        toMarkdownCode(i.definition),
+                    ].join(' | ')} |\n`);
+                }
+            }
+
+            if(t.constraints?.length){
+                out.push('\nConstraints:\n\n| Name | Type | Definition |\n|------|------|------------|\n');
+                for(const c of t.constraints){
+                    out.push(`| ${[
+                        toMarkdownCell(c.name??getDefaultConstraintName(t,c)),
+                        docsConstraintLabels[c.type],
+                        toMarkdownCode(c.definition),
+                    ].join(' | ')} |\n`);
+                }
+            }else if(t.checks?.length){
+                out.push(`\nChecks:\n\n${t.checks.map(c=>`- ${toMarkdownCode(c)}\n`).join('')}`);
+            }
+
+            const relations=(t.relations??[]).filter(r=>r.targetType);
+            if(relations.length){
+                out.push('\nRelations:\n\n');
+                for(const r of relations){
+                    const target=typeDefs.find(d=>d.name===r.targetType);
+                    const heading=target?getDocsHeading(target):undefined;
+                    out.push(`- ${toMarkdownCode(r.name)} - ${r.cardinality==='many'?'many':'one'} ${
+                        heading?`[${r.targetTable}](#${toMarkdownAnchor(heading)})`:r.targetTable
+                    } (${r.columns.join(', ')} → ${r.targetColumns.join(', ')})\n`);
+                }
+            }
+            break;
+        }
+    }
+    return out.join('');
+}
+
+/**
+ * Returns the name Postgres generates for an unnamed constraint
+ * @param {TypeDef} t
+ * @param {ConstraintDef} c
+ * @returns {string}
+ */
+const getDefaultConstraintName=(t,c)=>{
+    const table=t.sqlTable??t.name;
+    switch(c.type){
+        case 'primaryKey': return `${table}_pkey`;
+        case 'unique': return `${table}_${c.columns.join('_')}_key`;
+        case 'foreignKey': return `${table}_${c.columns.join('_')}_fkey`;
+        case 'exclusion': return `${table}_${c.columns.join('_')}_excl`;
+        default: return c.columns.length===1?`${table}_${c.columns[0]}_check`:`${table}_check`;
+    }
+}
+
+/**
+ * Returns the name Postgres generates for an unnamed index
+ * @param {TypeDef} t
+ * @param {string[]} columns
+ * @returns {string}
+ */
+const getDefaultIndexName=(t,columns)=>`${t.sqlTable??t.name}_${columns.length?columns.join('_'):'expr'}_idx`;
+
+/** @type {Record<ConstraintDef['type'],string>} */
+const docsConstraintLabels={
+    primaryKey:'primary key',
+    unique:'unique',
+    check:'check',
+    foreignKey:'foreign key',
+    exclusion:'exclusion',
+};
+
+/**
+ * Returns an SQL type including type modifiers and array dimensions
+ * @param {string} sqlType
+ * @param {TypeModifiers} mods
+ * @param {number=} arrayDimensions
+ * @returns {string}
+ */
+const getDocsSqlType=(sqlType,mods,arrayDimensions)=>{
+    let type=sqlType;
+    if(mods.maxLength!==undefined){
+        type+=`(${mods.maxLength})`;
+    }else if(mods.precision!==undefined){
+        type+=`(${mods.precision}${mods.scale!==undefined?`,${mods.scale}`:''})`;
+    }
+    return type+'[]'.repeat(arrayDimensions??0);
+}
+
+/**
+ * @param {PropDef} p
+ * @returns {string}
+ */
+const getDocsDefault=(p)=>{
+    if(p.identity){
+        return `identity (${p.identity==='always'?'always':'by default'})`;
+    }
+    if(p.generatedExpression){
+        return `generated ${toMarkdownCode(p.generatedExpression)}`;
+    }
+    if(p.defaultValue!==undefined){
+        return toMarkdownCode(JSON.stringify(p.defaultValue));
+    }
+    if(p.defaultExpression){
+        return toMarkdownCode(p.defaultExpression);
+    }
+    return '';
+}
+
+/**
+ * Escapes text used in a Markdown table cell
+ * @param {string} text
+ * @returns {string}
+ */
+const toMarkdownCell=(text)=>text.replace(/\|/g,'\\|').replace(/\r?\n/g,'<br>');
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const toMarkdownCode=(text)=>{
+    const code=toMarkdownCell(text);
+    return code.includes('`')?`\`\` ${code} \`\``:`\`${code}\``;
+}
+
+/**
+ * Returns the anchor GitHub generates for a heading
+ * @param {string} heading
+ * @returns {string}
+ */
+const toMarkdownAnchor=(heading)=>heading.toLowerCase().replace(/[^\w\- ]/g,'').replace(/ /g,'-');
+
+/**
+ * Creates a Mermaid entity relationship diagram of tables, their columns and foreign keys
+ * @param {TypeDef[]} typeDefs
+ * @returns {string}
+ */
+export const createErdFile=(typeDefs)=>{
+    const tables=typeDefs.filter(t=>t.type==='type' && !t.sqlViewType);
+    const out=['erDiagram\n'];
+
+    for(const t of tables){
+        const uniqueColumns=(t.constraints??[]).filter(c=>c.type==='unique' && c.columns.length===1).flatMap(c=>c.columns);
+        const fkColumns=(t.relations??[]).filter(r=>!r.reverse).flatMap(r=>r.columns);
+        out.push(`${indent}${toErdName(t)} {\n`);
+        for(const p of t.props){
+            /** @type {string[]} */
+            const keys=[];
+            if(p.primary){
+                keys.push('PK');
+            }
+            if(fkColumns.includes(p.sqlName)){
+                keys.push('FK');
+            }
+            if(uniqueColumns.includes(p.sqlName)){
+                keys.push('UK');
+            }
+            const type=(p.type.sql??p.type.name).replace(/[^\w]/g,'_')+'[]'.repeat(p.arrayDimensions??0);
+            out.push(`${indent}${indent}${type} ${p.sqlName}${keys.length?' '+keys.join(', '):''}${
+                p.description?` "${p.description.replace(/["\r\n]+/g,' ')}"`:''
+            }\n`);
+        }
+        out.push(`${indent}}\n`);
+    }
+
+    for(const t of tables){
+        for(const r of t.relations??[]){
+            const target=r.reverse?undefined:tables.find(d=>d.name===r.targetType);
+            if(!target){
+                continue;
+            }
+            // the reverse relation of the target records if the foreign key columns are unique
+            const reverse=target.relations?.find(tr=>(
+                tr.reverse &&
+                tr.targetType===t.name &&
+                tr.constraintName===r.constraintName &&
+                tr.targetColumns.join()===r.columns.join()
+            ));
+            out.push(`${indent}${toErdName(target)} ${r.optional?'|o':'||'}--${
+                reverse?.cardinality==='one'?'o|':'o{'
+            } ${toErdName(t)} : ${JSON.stringify(r.name)}\n`);
+        }
+    }
+    return out.join('');
+}
+
+/**
+ * @param {TypeDef} t
+ * @returns {string}
+ */
+const toErdName=(t)=>{
+    const name=t.sqlTable??t.name;
+    return (t.sqlSchema && t.sqlSchema!=='public')?`${t.sqlSchema}_${name}`:name;
+}
+
+///// JSON Schema
+
+ /**
+  * @typedef JsonSchemaOptions
+  * @prop {string} refPrefix Prefix of `$ref` paths, e.g. `#/$defs/`
+  * @prop {string} insertSuffix
+  * @prop {string} updateSuffix
+  * @prop {'optional'|'nullable'} nullMode Nullable properties allow null values in the `nullable`
+  *                                       null mode
+  */
+
+/**
+ * Creates JSON schemas for type definitions. Tables have a schema for their row, insert and update
+ * types, views and composite types have a single schema and enums and domains are defined as named
+ * schemas referenced by the properties that use them.
+ * @param {TypeDef[]} typeDefs
+ * @param {JsonSchemaOptions} options
+ * @returns {Record<string,any>}
+ */
+export const createJsonSchemas=(typeDefs,options)=>{
+    /** @type {Record<string,any>} */
+    const schemas={};
+    for(const t of typeDefs){
+        switch(t.type){
+
+            case 'enum':
+                schemas[t.name]=withDescription({type:'string',enum:t.values??[]},t.description);
+                break;
+
+            case 'domain':
+                schemas[t.name]=withDescription(
+                    toJsonSchemaArray(
+                        t.baseType?typeMappingToJsonSchema(t.baseType,typeDefs,options):{},
+                        t.arrayDimensions??0
+                    ),
+                    t.description
+                );
+                break;
+
+            default:
+                schemas[t.name]=createJsonObjectSchema(t,null,typeDefs,options);
+                if(!t.readOnly && t.type==='type'){
+                    schemas[t.name+options.insertSuffix]=createJsonObjectSchema(t,'insert',typeDefs,options);
+                    schemas[t.name+options.updateSuffix]=createJsonObjectSchema(t,'update',typeDefs,options);
+                }
+                break;
+        }
+    }
+    return schemas;
+}
+
+/**
+ * Creates a JSON Schema document that defines all types in `$defs`
+ * @param {TypeDef[]} typeDefs
+ * @param {string} insertSuffix
+ * @param {string} updateSuffix
+ * @param {'optional'|'nullable'} nullMode
+ * @returns {string}
+ */
+export const createJsonSchemaFile=(typeDefs,insertSuffix,updateSuffix,nullMode='optional')=>{
+    return JSON.stringify({
+        $schema:'https://json-schema.org/draft/2020-12/schema',
+        $defs:createJsonSchemas(typeDefs,{refPrefix:'#/$defs/',insertSuffix,updateSuffix,nullMode}),
+    },null,4);
+}
+
+/**
+ * Creates an OpenAPI 3.1 document that defines all types as component schemas
+ * @param {TypeDef[]} typeDefs
+ * @param {string} insertSuffix
+ * @param {string} updateSuffix
+ * @param {string} title
+ * @param {string} version
+ * @param {'optional'|'nullable'} nullMode
+ * @returns {string}
+ */
+export const createOpenApiFile=(typeDefs,insertSuffix,updateSuffix,title,version,nullMode='optional')=>{
+    return JSON.stringify({
+        openapi:'3.1.0',
+        info:{title,version},
+        paths:{},
+        components:{
+            schemas:createJsonSchemas(typeDefs,{refPrefix:'#/components/schemas/',insertSuffix,updateSuffix,nullMode}),
+        },
+    },null,4);
+}
+
+/**
+ * @param {TypeDef} t
+ * @param {'insert'|'update'|null} forOp
+ * @param {TypeDef[]} typeDefs
+ * @param {JsonSchemaOptions} options
+ * @returns {Record<string,any>}
+ */
+const createJsonObjectSchema=(t,forOp,typeDefs,options)=>{
+    /** @type {Record<string,any>} */
+    const properties={};
+    /** @type {string[]} */
+    const required=[];
+    for(const p of t.props){
+        // props record the optionality of the row type. Insert and update types are derived
+        // using the same rules used to generate insert and update interfaces.
+        const notNull=!p.optional && !p.nullable;
+        const isRequired=(forOp==='update'?
+            p.primary
+        :forOp==='insert'?
+            (notNull && !p.hasDefault)
+        :
+            !p.optional
+        );
+        if(isRequired){
+            required.push(p.name);
+        }
+
+        /** @type {Record<string,any>} */
+        let schema=typeMappingToJsonSchema(p.type,typeDefs,options);
+        if(p.maxLength!==undefined && schema['type']==='string'){
+            schema['maxLength']=p.maxLength;
+        }
+        schema=toJsonSchemaArray(schema,p.arrayDimensions??0);
+        if(p.nullable && options.nullMode==='nullable'){
+            schema=toJsonSchemaNullable(schema);
+        }
+        if(p.description){
+            schema=withDescription(schema,p.description);
+        }
+        if(forOp==='insert' && p.defaultValue!==undefined){
+            schema={...schema,default:p.defaultValue};
+        }
+        if(t.readOnly){
+            schema={...schema,readOnly:true};
+        }
+        properties[p.name]=schema;
+    }
+
+    /** @type {Record<string,any>} */
+    const schema={type:'object'};
+    if(!forOp && t.description){
+        schema['description']=t.description;
+    }
+    schema['properties']=properties;
+    if(required.length){
+        schema['required']=required;
+    }
+    return schema;
+}
+
+/**
+ * Converts a type mapping to a JSON schema. Enums, domains and composite types are referenced
+ * using `$ref`.
+ * @param {TypeMapping} mt
+ * @param {TypeDef[]} typeDefs
+ * @param {JsonSchemaOptions} options
+ * @returns {Record<string,any>}
+ */
+const typeMappingToJsonSchema=(mt,typeDefs,options)=>{
+    const ref=typeDefs.find(t=>t.name===mt.name && t.type!=='type');
+    if(ref){
+        return {$ref:options.refPrefix+ref.name};
+    }
+    const sql=mt.sql?.toLowerCase()??'';
+    switch(mt.name){
+
+        case 'number':
+            return {type:(intSqlTypes.includes(sql) || mt.zod?.includes('.int()'))?'integer':'number'};
+
+        case 'bigint':
+            return {type:'integer',format:'int64'};
+
+        case 'boolean':
+            return {type:'boolean'};
+
+        case 'json':
+            return {type:'object'};
+
+        case 'bytes':
+            return {type:'string',contentEncoding:'base64'};
+
+        case 'point':
+            return {
+                type:'object',
+                properties:{x:{type:'number'},y:{type:'number'}},
+                required:['x','y'],
+            };
+
+        case 'circle':
+            return {
+                type:'object',
+                properties:{x:{type:'number'},y:{type:'number'},radius:{type:'number'}},
+                required:['x','y','radius'],
+            };
+
+        case 'string':
+        case 'Date':{
+            if(intSqlTypes.includes(sql)){
+                return {type:'string',pattern:'^-?\\d+$'};
+            }
+            if(sql==='numeric' || sql==='decimal'){
+                return {type:'string',pattern:'^-?\\d+(\\.\\d+)?$'};
+            }
+            const format=jsonSchemaFormats[sql];
+            return format?{type:'string',format}:{type:'string'};
+        }
+
+        default:
+            return {};
+    }
+}
+
+const intSqlTypes=['int','integer','int2','int4','int8','smallserial','serial2','serial','serial4','bigserial','serial8','oid'];
+
+/** @type {Record<string,string>} */
+const jsonSchemaFormats={
+    uuid:'uuid',
+    timestamptz:'date-time',
+    timestamp:'date-time',
+    date:'date',
+    time:'time',
+};
+
+/**
+ * @param {Record<string,any>} schema
+ * @param {number} dimensions
+ * @returns {Record<string,any>}
+ */
+const toJsonSchemaArray=(schema,dimensions)=>{
+    for(let i=0;i<dimensions;i++){
+        schema={type:'array',items:schema};
+    }
+    return schema;
+}
+
+/**
+ * @param {Record<string,any>} schema
+ * @returns {Record<string,any>}
+ */
+const toJsonSchemaNullable=(schema)=>{
+    if(typeof schema['type'] === 'string'){
+        return {...schema,type:[schema['type'],'null']};
+    }
+    return {anyOf:[schema,{type:'null'}]};
+}
+
+/**
+ * @param {Record<string,any>} schema
+ * @param {string|undefined} description
+ * @returns {Record<string,any>}
+ */
+const withDescription=(schema,description)=>{
+    if(!description){
+        return schema;
+    }
+    // $ref siblings are allowed by JSON Schema 2020-12 and OpenAPI 3.1
+    return {...schema,description};
+}
+
+///// Python
+
+/**
+ * Returns the imports of the Python models file
+ * @param {PyModel} pyModel
+ * @returns {string}
+ */
+const getPyHeader=(pyModel)=>(
+`from datetime import date, datetime, time, timedelta
+from decimal import Decimal
+from typing import Any, Literal, Optional
+from uuid import UUID
+
+${pyModel==='dataclass'?
+    'from dataclasses import dataclass, field'
+:
+    'from pydantic import BaseModel, ConfigDict, Field'
+}
+
+
+`);
+
+/**
+ * Returns the class statement and docstring of a Python model
+ * @param {string} name
+ * @param {string|undefined} base Name of the class the model extends
+ * @param {string[]} doc Lines of the docstring
+ * @param {boolean} readOnly
+ * @param {PyModel} pyModel
+ * @returns {string}
+ */
+const toPyClass=(name,base,doc,readOnly,pyModel)=>{
+    const out=[];
+    if(pyModel==='dataclass'){
+        out.push(`@dataclass(kw_only=True${readOnly?', frozen=True':''})\n`);
+        out.push(`class ${name}${base?`(${base})`:''}:\n`);
+    }else{
+        out.push(`class ${name}(${base??'BaseModel'}):\n`);
+    }
+    if(doc.length){
+        out.push(`${indent}"""\n`);
+        for(const line of doc.join('\n').split('\n')){
+            out.push(line?`${indent}${escapePyDocString(line)}\n`:'\n');
+        }
+        out.push(`${indent}"""\n\n`);
+    }
+    return out.join('');
+}
+
+/**
+ * Returns the field statement of a Python model. Optional fields default to `None`.
+ * @param {string} prop
+ * @param {string} type
+ * @param {boolean} optional
+ * @param {boolean} nullable
+ * @param {string|undefined} description
+ * @param {number|undefined} maxLength
+ * @param {PyModel} pyModel
+ * @returns {string}
+ */
+const toPyField=(prop,type,optional,nullable,description,maxLength,pyModel)=>{
+    // Python keywords can not be used as names and are suffixed with an underscore
+    const isKeyword=pyKeywords.includes(prop);
+    const name=isKeyword?prop+'_':prop;
+    /** @type {string[]} */
+    const args=[];
+    if(optional){
+        args.push('default=None');
+    }
+    if(pyModel==='dataclass'){
+        /** @type {string[]} */
+        const metadata=[];
+        if(isKeyword){
+            metadata.push(`"column": ${JSON.stringify(prop)}`);
+        }
+        if(description){
+            metadata.push(`"description": ${JSON.stringify(description)}`);
+        }
+        if(metadata.length){
+            args.push(`metadata={${metadata.join(', ')}}`);
+        }
+    }else{
+        if(isKeyword){
+            args.push(`alias=${JSON.stringify(prop)}`);
+        }
+        if(maxLength!==undefined){
+            args.push(`max_length=${maxLength}`);
+        }
+        if(description){
+            args.push(`description=${JSON.stringify(description)}`);
+        }
+    }
+
+    const fieldFn=pyModel==='dataclass'?'field':'Field';
+    const value=(args.length===1 && optional)?
+        ' = None'
+    :args.length?
+        ` = ${fieldFn}(${args.join(', ')})`
+    :
+        ''
+    ;
+    return `${indent}${name}: ${(optional || nullable)?`Optional[${type}]`:type}${value}\n`;
+}
+
+/**
+ * Returns the Python type of a type mapping. The `py` key of the mapping takes precedence over
+ * the Python type of the SQL type.
+ * @param {TypeMapping} mt
+ * @param {string|undefined} sqlType Lower case SQL type
+ * @returns {string}
+ */
+const getPyType=(mt,sqlType)=>(
+    mt.py??
+    (sqlType?pySqlTypes[sqlType]:undefined)??
+    pyNameTypes[mt.name]??
+    'Any'
+);
+
+/**
+ * Python types of SQL types. Python drivers such as psycopg return native Python types so the
+ * int8, numeric and timestamp modes do not change the Python types.
+ * @type {Record<string,string>}
+ */
+const pySqlTypes={
+    int:'int',
+    integer:'int',
+    int2:'int',
+    int4:'int',
+    int8:'int',
+    smallserial:'int',
+    serial2:'int',
+    serial:'int',
+    serial4:'int',
+    bigserial:'int',
+    serial8:'int',
+    oid:'int',
+    float:'float',
+    float4:'float',
+    float8:'float',
+    real:'float',
+    numeric:'Decimal',
+    decimal:'Decimal',
+    bool:'bool',
+    boolean:'bool',
+    json:'Any',
+    jsonb:'Any',
+    timestamptz:'datetime',
+    timestamp:'datetime',
+    date:'date',
+    time:'time',
+    timetz:'time',
+    interval:'timedelta',
+    uuid:'UUID',
+    bytea:'bytes',
+}
+
+/**
+ * Python types of type mapping names
+ * @type {Record<string,string>}
+ */
+const pyNameTypes={
+    string:'str',
+    number:'float',
+    bigint:'int',
+    boolean:'bool',
+    json:'Any',
+    bytes:'bytes',
+    Date:'datetime',
+    point:'dict[str, float]',
+    circle:'dict[str, float]',
+}
+
+const pyKeywords=[
+    'False','None','True','and','as','assert','async','await','break','class','continue','def',
+    'del','elif','else','except','finally','for','from','global','if','import','in','is','lambda',
+    'nonlocal','not','or','pass','raise','return','try','while','with','yield',
+];
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+const escapePyDocString=(text)=>text.replace(/\\/g,'\\\\').replace(/"""/g,'\\"\\"\\"');
+
+///// Go
+
+ /**
+  * @typedef GoField
+  * @prop {string} name
+  * @prop {string} type
+  * @prop {string} tag
+  * @prop {string=} description
+  */
+
+/**
+ * Returns the header of the Go file including the imports used by the generated types
+ * @param {string} goPackage
+ * @param {string[]} source Source of `source` metadata comments
+ * @param {SrcType[]} goTypes
+ * @returns {string}
+ */
+const getGoHeader=(goPackage,source,goTypes)=>{
+    const imports=[...new Set(goTypes.flatMap(t=>t.imports??[]))].sort();
+    return (
+        `// Code generated by pg-schema-gen. DO NOT EDIT.\n\npackage ${goPackage}\n\n`+
+        source.join('')+
+        (imports.length?`import (\n${imports.map(i=>`\t${JSON.stringify(i)}\n`).join('')})\n\n`:'')
+    );
+}
+
+/**
+ * Returns a Go struct. Fields are aligned the same way as gofmt aligns fields, comments end the
+ * block of fields that are aligned.
+ * @param {string} name
+ * @param {string[]} doc Lines of the doc comment
+ * @param {GoField[]} fields
+ * @returns {string}
+ */
+const toGoStruct=(name,doc,fields)=>{
+    const out=[toGoComment(doc,''),`type ${name} struct {\n`];
+    /** @type {GoField[][]} */
+    const blocks=[];
+    for(const f of fields){
+        const block=blocks[blocks.length-1];
+        if(!block || f.description){
+            blocks.push([f]);
+        }else{
+            block.push(f);
+        }
+    }
+    for(const block of blocks){
+        const nameLength=Math.max(...block.map(f=>f.name.length));
+        const typeLength=Math.max(...block.map(f=>f.type.length));
+        for(const f of block){
+            if(f.description){
+                out.push(toGoComment([f.description],'\t'));
+            }
+            out.push(`\t${f.name.padEnd(nameLength)} ${f.type.padEnd(typeLength)} ${f.tag}\n`);
+        }
+    }
+    out.push('}');
+    return out.join('');
+}
+
+/**
+ * Returns a line comment. Lines that contain line breaks, such as multi-line descriptions, are
+ * split so that each line is commented.
+ * @param {string[]} lines
+ * @param {string} indent
+ * @returns {string}
+ */
+const toGoComment=(lines,indent)=>lines.flatMap(l=>l.split('\n')).map(l=>l?`${indent}// ${l}\n`:`${indent}//\n`).join('');
+
+/**
+ * Converts a SQL name to an exported Go name. Common initialisms are upper cased, for example
+ * `user_id` is converted to `UserID`.
+ * @param {string} name
+ * @returns {string}
+ */
+const toGoName=(name)=>{
+    const n=name.split(/[^a-zA-Z0-9]+/).filter(p=>p).map(p=>(
+        goInitialisms.includes(p.toLowerCase())?
+            p.toUpperCase()
+        :
+            p.substring(0,1).toUpperCase()+p.substring(1)
+    )).join('');
+    return /^[0-9]/.test(n)?'X'+n:n;
+}
+
+const goInitialisms=['id','url','uri','api','json','uuid','http','https','ip','sql','html','xml','css','db'];
+
+/**
+ * Returns the Go type of a type mapping. The `go` key of the mapping takes precedence over the
+ * Go type of the SQL type.
+ * @param {TypeMapping} mt
+ * @param {string|undefined} sqlType Lower case SQL type
+ * @returns {string}
+ */
+const getGoType=(mt,sqlType)=>(
+    mt.go??
+    (sqlType?goSqlTypes[sqlType]:undefined)??
+    goNameTypes[mt.name]??
+    'any'
+);
+
+/**
+ * Returns the type of a nullable Go field. Slices, maps and interfaces can already be nil and are
+ * not wrapped.
+ * @param {string} type
+ * @param {GoNullMode} goNull
+ * @returns {string}
+ */
+const toGoNullable=(type,goNull)=>{
+    if(/^(\[\]|map\[|\*)/.test(type) || type==='any' || type==='json.RawMessage'){
+        return type;
+    }
+    if(goNull==='sql'){
+        return goSqlNullTypes[type]??`sql.Null[${type}]`;
+    }
+    return '*'+type;
+}
+
+/**
+ * Returns the packages used by a Go type
+ * @param {string} type
+ * @returns {string[]}
+ */
+const getGoTypeImports=(type)=>{
+    /** @type {string[]} */
+    const imports=[];
+    for(const m of type.matchAll(/\b(time|json|sql)\./g)){
+        const pkg=goPackages[m[1]??''];
+        if(pkg && !imports.includes(pkg)){
+            imports.push(pkg);
+        }
+    }
+    return imports;
+}
+
+/** @type {Record<string,string>} */
+const goPackages={
+    time:'time',
+    json:'encoding/json',
+    sql:'database/sql',
+}
+
+/**
+ * Go types of SQL types
+ * @type {Record<string,string>}
+ */
+const goSqlTypes={
+    int:'int32',
+    integer:'int32',
+    int2:'int16',
+    int4:'int32',
+    int8:'int64',
+    smallserial:'int16',
+    serial2:'int16',
+    serial:'int32',
+    serial4:'int32',
+    bigserial:'int64',
+    serial8:'int64',
+    oid:'uint32',
+    float:'float64',
+    float4:'float32',
+    float8:'float64',
+    real:'float32',
+    bool:'bool',
+    boolean:'bool',
+    json:'json.RawMessage',
+    jsonb:'json.RawMessage',
+    timestamptz:'time.Time',
+    timestamp:'time.Time',
+    date:'time.Time',
+    bytea:'[]byte',
+}
+
+/**
+ * Go types of type mapping names
+ * @type {Record<string,string>}
+ */
+const goNameTypes={
+    string:'string',
+    number:'float64',
+    bigint:'int64',
+    boolean:'bool',
+    json:'json.RawMessage',
+    bytes:'[]byte',
+    Date:'time.Time',
+}
+
+/**
+ * `database/sql` null types
+ * @type {Record<string,string>}
+ */
+const goSqlNullTypes={
+    string:'sql.NullString',
+    int16:'sql.NullInt16',
+    int32:'sql.NullInt32',
+    int64:'sql.NullInt64',
+    float64:'sql.NullFloat64',
+    bool:'sql.NullBool',
+    byte:'sql.NullByte',
+    'time.Time':'sql.NullTime',
+}
+
+/**
+ * Returns a valid Go package name for a directory, falling back to `models`
+ * @param {string|undefined} dir
+ * @returns {string}
+ */
+const getGoPackageName=(dir)=>{
+    const name=dir?Path.basename(Path.resolve(dir)).toLowerCase().replace(/[^a-z0-9_]/g,''):'';
+    return (name && !/^[0-9]/.test(name))?name:'models';
+}
+
+///// Kysely
+
+/**
+ * Creates a TypeScript file that defines a Kysely `Database` interface. Table columns with defaults
+ * are wrapped with `Generated` and identity columns that are generated always and generated columns
+ * are wrapped with `GeneratedAlways`. View columns are not wrapped since views are not inserted into.
+ * @param {TypeDef[]} typeDefs
+ * @param {string} typesImport Path enum, domain and composite types are imported from
+ * @param {string|undefined} ext
+ * @returns {string}
+ */
+export const createKyselyFile=(typeDefs,typesImport='./types-ts.ts',ext)=>{
+    const tables=typeDefs.filter(t=>t.type==='type' && t.sqlTable);
+    /** @type {Set<string>} */
+    const namedTypes=new Set();
+    /** @type {Set<string>} */
+    const kyselyTypes=new Set();
+    const out=[];
+
+    for(const t of tables){
+        out.push(`/**\n`);
+        if(t.description){
+            out.push(`${toJsDoc(t.description,'',true)}\n`);
+        }
+        out.push(` * @${t.sqlViewType==='materialized'?'materializedView':t.sqlViewType?'view':'table'} ${t.sqlTable}\n`);
+        if(t.sqlSchema){
+            out.push(` * @schema ${t.sqlSchema}\n`);
+        }
+        out.push(` */\nexport interface ${t.name}Table\n{\n`);
+        for(const p of t.props){
+            if(typeDefs.some(d=>d.name===p.type.name && d.type!=='type')){
+                namedTypes.add(p.type.name);
+            }
+            if(p.description){
+                out.push(`${toJsDoc(p.description,indent)}\n`);
+            }
+            out.push(`${indent}${p.sqlName}:${getKyselyColumnType(p,kyselyTypes,!!t.sqlViewType)};\n`);
+        }
+        out.push('}\n\n');
+    }
+
+    out.push('export interface Database\n{\n');
+    for(const t of tables){
+        out.push(`${indent}${toTsPropName(getKyselyTableName(t))}:${t.name}Table;\n`);
+    }
+    out.push('}\n');
+
+    /** @type {string[]} */
+    const head=[];
+    if(kyselyTypes.size){
+        head.push(`import type { ${[...kyselyTypes].sort().join(', ')} } from "kysely";\n`);
+    }
+    if(namedTypes.size){
+        head.push(`import type { ${[...namedTypes].sort().join(', ')} } from "${replaceExt(typesImport,ext)}";\n`);
+    }
+    if(head.length){
+        head.push('\n');
+    }
+    return head.join('')+out.join('');
+}
+
+/**
+ * Returns the name a table is accessed by in Kysely. Tables outside of the public schema are
+ * qualified with their schema.
+ * @param {TypeDef} t
+ * @returns {string}
+ */
+const getKyselyTableName=(t)=>(
+    (t.sqlSchema && t.sqlSchema!=='public')?`${t.sqlSchema}.${t.sqlTable}`:(t.sqlTable??t.name)
+);
+
+/**
+ * @param {PropDef} p
+ * @param {Set<string>} kyselyTypes Kysely types used by the column are added to the set
+ * @param {boolean} view If true the column belongs to a view and defaults are ignored
+ * @returns {string}
+ */
+const getKyselyColumnType=(p,kyselyTypes,view)=>{
+    const arrays='[]'.repeat(p.arrayDimensions??0);
+    const nullable=(p.optional || p.nullable)?'|null':'';
+    const select=`${p.type.ts??p.type.name}${arrays}`;
+    const sql=p.type.sql?.toLowerCase()??'';
+
+    // types that accept more input types than they are selected as
+    let input=select;
+    if(!arrays){
+        if(p.type.name==='Date'){
+            input='Date|string';
+        }else if(p.type.name==='bigint'){
+            input='bigint|number|string';
+        }else if(p.type.name==='string' && (intSqlTypes.includes(sql) || sql==='numeric' || sql==='decimal')){
+            input='string|number|bigint';
+        }
+    }
+    let column=`${select}${nullable}`;
+    if(input!==select){
+        kyselyTypes.add('ColumnType');
+        column=`ColumnType<${column},${input}${nullable},${input}${nullable}>`;
+    }
+
+    if(view){
+        return column;
+    }
+    if(p.identity==='always' || p.generatedExpression){
+        kyselyTypes.add('GeneratedAlways');
+        column=`GeneratedAlways<${column}>`;
+    }else if(p.hasDefault){
+        kyselyTypes.add('Generated');
+        column=`Generated<${column}>`;
+    }
+    return column;
+}
+
+const serialSqlTypes=['smallserial','serial2','serial','serial4','bigserial','serial8'];
+
+/**
+ * Returns a name that can be used as a property name of a TypeScript interface
+ * @param {string} name
+ * @returns {string}
+ */
+const toTsPropName=(name)=>/^[a-zA-Z_$][\w$]*$/.test(name)?name:JSON.stringify(name);
+
+///// Mappers
+
+/**
+ * Creates a TypeScript module with functions that convert rows returned by the database to types
+ * and insert types to rows. Keys are renamed between column and property names and dates,
+ * int8 and numeric values and JSON are converted based on the type mapping of each property.
+ * @param {TypeDef[]} typeDefs
+ * @param {string} typesImport Path types are imported from
+ * @param {string|undefined} ext
+ * @param {string} insertSuffix
+ * @param {boolean} jsonText Parse json and jsonb values returned as text. Drivers such as pg parse
+ *                           JSON values by default
+ * @returns {string}
+ */
+export const createMappersFile=(typeDefs,typesImport='./types-ts.ts',ext,insertSuffix='_insert',jsonText=false)=>{
+    const tables=typeDefs.filter(t=>t.type==='type' && t.sqlTable);
+    /** @type {Set<string>} */
+    const imports=new Set();
+    /** @type {Set<MapperHelper>} */
+    const helpers=new Set();
+    const out=[];
+
+    for(const t of tables){
+        imports.add(t.name);
+        out.push(`/**\n * Converts a row of the ${t.sqlTable} ${t.sqlViewType?'view':'table'} to ${t.name}\n */\n`);
+        out.push(`export const fromRow${t.name}=(row:Record<string,any>):${t.name}=>({\n`);
+        for(const p of t.props){
+            const value=toMapperValue(`row[${JSON.stringify(p.sqlName)}]`,p,typeDefs,'fromRow',helpers,jsonText);
+            out.push(`${indent}${toTsPropName(p.name)}:${value},\n`);
+        }
+        out.push('});\n\n');
+
+        if(t.readOnly){
+            continue;
+        }
+        const insertName=t.name+insertSuffix;
+        imports.add(insertName);
+        out.push(`/**\n * Converts ${insertName} to a row of the ${t.sqlTable} table. Undefined properties are not\n * included in the row so that column defaults are used.\n */\n`);
+        out.push(`export const toRow${t.name}Insert=(value:${insertName}):Record<string,any>=>{\n`);
+        out.push(`${indent}const row:Record<string,any>={};\n`);
+        for(const p of t.props){
+            const access=`value${toJsPropAccess(p.name)}`;
+            out.push(`${indent}if(${access}!==undefined){\n`);
+            out.push(`${indent}${indent}row[${JSON.stringify(p.sqlName)}]=${toMapperValue(access,p,typeDefs,'toRow',helpers,jsonText)};\n`);
+            out.push(`${indent}}\n`);
+        }
+        out.push(`${indent}return row;\n}\n\n`);
+    }
+
+    /** @type {string[]} */
+    const head=[];
+    if(imports.size){
+        head.push(`import type { ${[...imports].join(', ')} } from "${replaceExt(typesImport,ext)}";\n\n`);
+    }
+    for(const helper of mapperHelperOrder){
+        if(helpers.has(helper)){
+            head.push(mapperHelpers[helper]+'\n\n');
+        }
+    }
+    return head.join('')+out.join('').trimEnd()+'\n';
+}
+
+ /**
+  * @typedef {'parseDate'|'formatDate'|'parseNumber'|'parseBigInt'|'toText'|'parseJson'|'formatJson'|'mapArray'} MapperHelper
+  */
+
+/**
+ * Helper functions added to the mappers module when used
+ * @type {Record<MapperHelper,string>}
+ */
+const mapperHelpers={
+    parseDate:'const parseDate=(value:any):any=>(value==null || value instanceof Date)?value:new Date(value);',
+    formatDate:(
+        'const formatDate=(value:any,dateOnly:boolean):any=>{\n'+
+        `${indent}if(!(value instanceof Date)){\n${indent}${indent}return value;\n${indent}}\n`+
+        `${indent}if(!dateOnly){\n${indent}${indent}return value.toISOString();\n${indent}}\n`+
+        `${indent}// drivers such as pg return dates as local midnight so the local date is used\n`+
+        `${indent}const pad=(n:number,length:number)=>String(n).padStart(length,'0');\n`+
+        `${indent}return \`\${pad(value.getFullYear(),4)}-\${pad(value.getMonth()+1,2)}-\${pad(value.getDate(),2)}\`;\n}`
+    ),
+    parseNumber:'const parseNumber=(value:any):any=>value==null?value:Number(value);',
+    parseBigInt:'const parseBigInt=(value:any):any=>value==null?value:BigInt(value);',
+    toText:'const toText=(value:any):any=>value==null?value:String(value);',
+    parseJson:"const parseJson=(value:any):any=>typeof value === 'string'?JSON.parse(value):value;",
+    formatJson:'const formatJson=(value:any):any=>value==null?value:JSON.stringify(value);',
+    mapArray:(
+        'const mapArray=(value:any,depth:number,map:(item:any)=>any):any=>(\n'+
+        `${indent}Array.isArray(value)?value.map(item=>depth>1?mapArray(item,depth-1,map):map(item)):value\n);`
+    ),
+};
+
+/** @type {MapperHelper[]} */
+const mapperHelperOrder=['parseDate','formatDate','parseNumber','parseBigInt','toText','parseJson','formatJson','mapArray'];
+
+/**
+ * Returns the expression that converts the value of a property between its row and type form
+ * @param {string} value Expression of the value
+ * @param {Pick<PropDef,'type'|'arrayDimensions'>} p
+ * @param {TypeDef[]} typeDefs
+ * @param {'fromRow'|'toRow'} direction
+ * @param {Set<MapperHelper>} helpers Helpers used by the expression are added to the set
+ * @param {boolean} jsonText
+ * @returns {string}
+ */
+const toMapperValue=(value,p,typeDefs,direction,helpers,jsonText)=>{
+    // domains are converted using their base type
+    const domain=typeDefs.find(t=>t.type==='domain' && t.name===p.type.name);
+    const type=domain?.baseType??p.type;
+    const arrayDimensions=(p.arrayDimensions??0)+(domain?.arrayDimensions??0);
+    const fn=getMapperFunction(type.sql?.toLowerCase()??'',type.ts??type.name,direction,jsonText);
+    if(!fn){
+        return value;
+    }
+    helpers.add(fn.helper);
+    if(!arrayDimensions){
+        return fn.call(value);
+    }
+    helpers.add('mapArray');
+    return `mapArray(${value},${arrayDimensions},item=>${fn.call('item')})`;
+}
+
+/**
+ * SQL types affected by the int8 and numeric modes
+ */
+const wideNumberSqlTypes=['int8','bigserial','serial8','numeric','decimal'];
+
+/**
+ * Returns the helper that converts a value of the given SQL type and TypeScript type
+ * @param {string} sql
+ * @param {string} ts
+ * @param {'fromRow'|'toRow'} direction
+ * @param {boolean} jsonText
+ * @returns {{helper:MapperHelper,call:(value:string)=>string}|undefined}
+ */
+const getMapperFunction=(sql,ts,direction,jsonText)=>{
+    const dateOnly=sql==='date';
+    if(dateOnly || sql==='timestamp' || sql==='timestamptz'){
+        if(ts==='Date'){
+            return direction==='fromRow'?
+                {helper:'parseDate',call:v=>`parseDate(${v})`}
+            :
+                {helper:'formatDate',call:v=>`formatDate(${v},${dateOnly})`};
+        }
+        // drivers such as pg return dates as Date objects
+        return direction==='fromRow'?{helper:'formatDate',call:v=>`formatDate(${v},${dateOnly})`}:undefined;
+    }
+    if(sql==='json' || sql==='jsonb'){
+        // drivers such as pg parse JSON values, parsing them again would convert JSON strings
+        // such as "123" to other types
+        if(direction==='fromRow'){
+            return jsonText?{helper:'parseJson',call:v=>`parseJson(${v})`}:undefined;
+        }
+        return {helper:'formatJson',call:v=>`formatJson(${v})`};
+    }
+    // int8 and numeric values are returned as strings by most drivers
+    if(wideNumberSqlTypes.includes(sql) && direction==='fromRow'){
+        switch(ts){
+            case 'bigint':
+                return {helper:'parseBigInt',call:v=>`parseBigInt(${v})`};
+            case 'number':
+                return {helper:'parseNumber',call:v=>`parseNumber(${v})`};
+            case 'string':
+                return {helper:'toText',call:v=>`toText(${v})`};
+        }
+    }
+    if(wideNumberSqlTypes.includes(sql) && ts==='bigint'){
+        return {helper:'toText',call:v=>`toText(${v})`};
+    }
+    return undefined;
+}
+
+///// Queries
+
+ /**
+  * `one` returns the first row or undefined, `many` returns all rows and `exec` does not return
+  * a result
+  * @typedef {'one'|'many'|'exec'} QueryCommand
+  */
+
+ /**
+  * @typedef QueryValueDef
+  * @prop {string} name Name of the column or parameter. Positional parameters are named `$1`, `$2`, ...
+  * @prop {string} type TypeScript type
+  * @prop {string=} typeRef Name of a generated type referenced by the type
+  * @prop {TypeMapping=} mapping Type mapping of the SQL type. Used to convert the values returned by
+  *                              the driver. Undefined for overridden and unresolved types
+  * @prop {number=} arrayDimensions
+  */
+
+ /**
+  * A named query of a query file with the inferred types of its parameters and result columns
+  * @typedef QueryDef
+  * @prop {string} name
+  * @prop {QueryCommand} command
+  * @prop {string} sql SQL of the query using positional parameters
+  * @prop {string=} description
+  * @prop {string} path Path of the query file
+  * @prop {boolean} namedParams True if the query uses named parameters, e.g. `:email`
+  * @prop {QueryValueDef[]} params Parameters ordered by position
+  * @prop {QueryValueDef[]} columns Result columns. Empty for queries that do not return rows
+  */
+
+ /**
+  * @typedef QueryParamRewrite
+  * @prop {string} sql SQL with named parameters replaced by positional parameters
+  * @prop {string[]} names Names of the parameters by position
+  * @prop {boolean} positional True if the SQL contains positional parameters, e.g. `$1`
+  * @prop {(index:number)=>number} toSourceIndex Maps an index of the rewritten SQL to the original SQL
+  */
+
+const queryNameReg=/^[ \t]*--[ \t]*name:[ \t]*([^\s]+)(?:[ \t]+:(\w+))?[ \t]*$/gm;
+
+/**
+ * Operators whose parameter operand has the same type as the other operand
+ */
+const queryParamOperators=['=','<>','!=','<','>','<=','>='];
+
+/**
+ * Parses the named queries of a query file and infers the types of their parameters and result
+ * columns using the schema model. Each query starts with a `-- name: <name> [:one|:many|:exec]`
+ * comment and ends at the next query or the end of the file.
+ * @param {string} path
+ * @param {string} content
+ * @param {SchemaModel} model
+ * @param {Record<string,TypeMapping>} typeMap
+ * @param {TypeDef[]} typeDefs
+ * @returns {Promise<QueryDef[]>}
+ */
+export const parseQueryFileAsync=async (path,content,model,typeMap,typeDefs)=>{
+    /** @type {SqlSource[]} */
+    const sources=[{path,start:0,end:content.length}];
+    const headers=[...content.matchAll(queryNameReg)];
+    if(!headers.length){
+        warn(`No queries found in ${path}, queries should start with a "-- name: <name>" comment`);
+    }
+
+    /** @type {QueryDef[]} */
+    const queries=[];
+    for(let i=0;i<headers.length;i++){
+        const header=/** @type {RegExpMatchArray} */(headers[i]);
+        const name=header[1]??'';
+        const command=/** @type {QueryCommand|undefined} */(header[2]);
+        const headerIndex=header.index??0;
+        if(!/^[a-zA-Z_$][\w$]*$/.test(name)){
+            throw new Error(`Invalid query name "${name}", query names should be valid identifiers - ${formatSqlSourceLocation(sources,content,headerIndex)}`);
+        }
+        if(command && command!=='one' && command!=='many' && command!=='exec'){
+            throw new Error(`Invalid query command ":${command}" of query ${name}, expected :one, :many or :exec - ${formatSqlSourceLocation(sources,content,headerIndex)}`);
+        }
+
+        // comment lines after the name line describe the query, the query starts at the first
+        // line that is not a comment
+        const end=headers[i+1]?.index??content.length;
+        let start=headerIndex+header[0].length;
+        /** @type {string[]} */
+        const commentLines=[];
+        while(start<end){
+            const lineEnd=content.indexOf('\n',start);
+            const line=content.substring(start,lineEnd===-1 || lineEnd>end?end:lineEnd).trim();
+            if(line && !line.startsWith('--')){
+                break;
+            }
+            if(line){
+                commentLines.push(line.replace(/^--\s?/,''));
+            }
+            if(lineEnd===-1 || lineEnd>=end){
+                start=end;
+                break;
+            }
+            start=lineEnd+1;
+        }
+        const body=content.substring(start,end).replace(/[\s;]+$/,'');
+        if(!body){
+            throw new Error(`Query ${name} does not contain a statement - ${formatSqlSourceLocation(sources,content,headerIndex)}`);
+        }
+
+        const comment=parseComment(commentLines.join('\n'),0,undefined,['type'],[],true);
+        const rewrite=replaceNamedQueryParams(body);
+        /**
+         * @param {number} index Index within the rewritten SQL
+         * @returns {string}
+         */
+        const formatLocation=(index)=>formatSqlSourceLocation(sources,content,start+rewrite.toSourceIndex(index));
+
+        /** @type {import('@pgsql/types').ParseResult} */
+        let parsed;
+        try{
+            parsed=await parse(rewrite.sql);
+        }catch(ex){
+            const pos=asAny(ex)?.sqlDetails?.cursorPosition;
+            throw createSqlParseError(ex,sources,content,start+(typeof pos === 'number'?rewrite.toSourceIndex(pos)-pos:0));
+        }
+        const stmts=parsed.stmts??[];
+        if(stmts.length!==1){
+            throw new Error(`Query ${name} should contain a single statement - ${formatSqlSourceLocation(sources,content,headerIndex)}`);
+        }
+        const stmt=asAny(stmts[0]?.stmt);
+
+        /** @type {Record<number,number>} */
+        const paramLocations={};
+        getPgParamRefs(stmt,paramLocations);
+        const paramCount=Math.max(0,...Object.keys(paramLocations).map(Number));
+        if(rewrite.names.length && rewrite.positional){
+            throw new Error(`Query ${name} can not mix named and positional parameters - ${formatSqlSourceLocation(sources,content,headerIndex)}`);
+        }
+
+        /** @type {Record<number,ResolvedColumn>} */
+        const paramTypes={};
+        inferQueryParams(model,stmt,[],[],paramTypes);
+
+        /** @type {QueryValueDef[]} */
+        const params=[];
+        for(let n=1;n<=paramCount;n++){
+            const paramName=rewrite.names[n-1]??`$${n}`;
+            const override=comment?.metadata.find(m=>(
+                (m.type==='ts' || m.type===undefined) &&
+                m.value.split(/\s/)[0]===(rewrite.names.length?':'+paramName:paramName)
+            ));
+            if(override){
+                params.push({name:paramName,type:override.value.replace(/^\S+\s*/,'')});
+                continue;
+            }
+            const resolved=paramTypes[n];
+            const type=resolved?.typeName?getQueryValueType(resolved.typeName,typeMap,typeDefs):undefined;
+            if(!type){
+                warn(`Unable to resolve type of parameter ${paramName} of query ${name}, unknown will be used - ${formatLocation(paramLocations[n]??0)}`);
+            }
+            params.push({
+                name:paramName,
+                type:type?`${type.type}${resolved?.notNull===false?'|null':''}`:'unknown',
+                typeRef:type?.typeRef,
+            });
+        }
+
+        /** @type {QueryValueDef[]} */
+        const columns=[];
+        const resultColumns=getQueryResultColumns(model,stmt);
+        for(const c of resultColumns??[]){
+            // the last column of a name is used since it replaces earlier columns in result rows
+            const index=columns.findIndex(e=>e.name===c.name);
+            if(index!==-1){
+                columns.splice(index,1);
+            }
+            const override=c.location===undefined?undefined:parseComment(rewrite.sql,c.location)?.metadata.find(m=>(
+                m.tag==='type' && (m.type==='ts' || m.type===undefined)
+            ));
+            if(override){
+                columns.push({name:c.name,type:override.value});
+                continue;
+            }
+            const type=c.typeName?getQueryValueType(c.typeName,typeMap,typeDefs):undefined;
+            if(!type){
+                warn(`Unable to resolve type of column ${c.name} of query ${name}, unknown will be used - ${formatLocation(c.location??0)}`);
+            }
+            columns.push({
+                name:c.name,
+                type:type?`${type.type}${c.notNull?'':'|null'}`:'unknown',
+                typeRef:type?.typeRef,
+                mapping:type?.mapping,
+                arrayDimensions:type?.arrayDimensions||undefined,
+            });
+        }
+
+        if(command && command!=='exec' && !resultColumns){
+            throw new Error(`Query ${name} uses :${command} but does not return rows - ${formatSqlSourceLocation(sources,content,headerIndex)}`);
+        }
+        if(queries.some(q=>q.name===name)){
+            throw new Error(`Duplicate query name ${name} - ${formatSqlSourceLocation(sources,content,headerIndex)}`);
+        }
+
+        queries.push({
+            name,
+            command:command??(resultColumns?'many':'exec'),
+            sql:rewrite.sql,
+            description:comment?.comment||undefined,
+            path,
+            namedParams:rewrite.names.length>0,
+            params,
+            columns,
+        });
+    }
+    return queries;
+}
+
+/**
+ * Replaces named parameters, e.g. `:email`, with positional parameters. Parameters with the same
+ * name share a position. Strings, quoted identifiers, comments and `::` casts are skipped.
+ * @param {string} sql
+ * @returns {QueryParamRewrite}
+ */
+export const replaceNamedQueryParams=(sql)=>{
+    /** @type {string[]} */
+    const names=[];
+    /** @type {{index:number,offset:number}[]} */
+    const shifts=[];
+    let positional=false;
+    let out='';
+    let i=0;
+
+    /**
+     * Copies the SQL up to and including the end marker
+     * @param {string} marker
+     * @param {number} from
+     */
+    const copyTo=(marker,from)=>{
+        const end=sql.indexOf(marker,from);
+        const next=end===-1?sql.length:end+marker.length;
+        out+=sql.substring(i,next);
+        i=next;
+    }
+
+    while(i<sql.length){
+        const c=sql[i];
+        const next=sql[i+1];
+        if(c==="'" || c==='"'){
+            // doubled quotes are escapes and are copied as two quoted strings
+            copyTo(c,i+1);
+        }else if(c==='-' && next==='-'){
+            copyTo('\n',i);
+        }else if(c==='/' && next==='*'){
+            copyTo('*/',i+2);
+        }else if(c==='$' && /[a-zA-Z_$]/.test(next??'')){
+            const tag=/^\$(?:[a-zA-Z_]\w*)?\$/.exec(sql.substring(i))?.[0];
+            if(tag){
+                copyTo(tag,i+tag.length);
+            }else{
+                out+=c;
+                i++;
+            }
+        }else if(c==='$' && /\d/.test(next??'')){
+            positional=true;
+            out+=c;
+            i++;
+        }else if(c===':' && next===':'){
+            out+='::';
+            i+=2;
+        }else if(c===':' && /[a-zA-Z_]/.test(next??'')){
+            const name=/^\w+/.exec(sql.substring(i+1))?.[0]??'';
+            let n=names.indexOf(name)+1;
+            if(!n){
+                names.push(name);
+                n=names.length;
+            }
+            const param='$'+n;
+            out+=param;
+            i+=name.length+1;
+            shifts.push({index:out.length,offset:name.length+1-param.length});
+        }else{
+            out+=c;
+            i++;
+        }
+    }
+
+    return {
+        sql:out,
+        names,
+        positional,
+        toSourceIndex:(index)=>{
+            let offset=0;
+            for(const s of shifts){
+                if(s.index<=index){
+                    offset+=s.offset;
+                }
+            }
+            return index+offset;
+        },
+    }
+}
+
+/**
+ * Adds the location of the first reference of each positional parameter
+ * @param {any} node
+ * @param {Record<number,number>} locations
+ */
+const getPgParamRefs=(node,locations)=>{
+    if(!node || typeof node !== 'object'){
+        return;
+    }
+    if(node.ParamRef){
+        const n=node.ParamRef.number;
+        if(typeof n === 'number' && locations[n]===undefined){
+            locations[n]=node.ParamRef.location??0;
+        }
+        return;
+    }
+    for(const key in node){
+        getPgParamRefs(node[key],locations);
+    }
+}
+
+/**
+ * Infers the types of parameters based on the columns they are compared to, inserted into or
+ * assigned to, casts and limit and offset clauses.
+ * @param {SchemaModel} model
+ * @param {any} node
+ * @param {ViewScopeItem[]} scope
+ * @param {ViewCte[]} ctes
+ * @param {Record<number,ResolvedColumn>} params
+ */
+const inferQueryParams=(model,node,scope,ctes,params)=>{
+    if(!node || typeof node !== 'object'){
+        return;
+    }
+    if(Array.isArray(node)){
+        for(const n of node){
+            inferQueryParams(model,n,scope,ctes,params);
+        }
+        return;
+    }
+
+    if(node.SelectStmt){
+        /** @type {Pg.SelectStmt} */
+        const s=node.SelectStmt;
+        ctes=getViewCtes(model,s.withClause,ctes);
+        scope=[...scope];
+        for(const from of s.fromClause??[]){
+            addViewScopeItems(model,from,ctes,false,scope);
+        }
+        const int8={name:'?column?',typeName:createPgTypeName('int8'),notNull:true};
+        setQueryParam(params,s.limitCount,int8);
+        setQueryParam(params,s.limitOffset,int8);
+        for(const key in s){
+            inferQueryParams(model,asAny(s)[key],scope,ctes,params);
+        }
+        return;
+    }
+
+    if(node.InsertStmt || node.UpdateStmt || node.DeleteStmt){
+        /** @type {Pg.InsertStmt|Pg.UpdateStmt|Pg.DeleteStmt} */
+        const s=node.InsertStmt??node.UpdateStmt??node.DeleteStmt;
+        ctes=getViewCtes(model,s.withClause,ctes);
+        scope=[...scope];
+        if(s.relation){
+            addViewScopeItems(model,{RangeVar:s.relation},ctes,false,scope);
+        }
+        for(const from of asAny(s).fromClause??asAny(s).usingClause??[]){
+            addViewScopeItems(model,from,ctes,false,scope);
+        }
+        const table=findModelTable(model,s.relation?.relname,s.relation?.schemaname);
+        const columns=table?getResolvedTableColumns(table):[];
+        /**
+         * @param {string|undefined} name
+         */
+        const getColumn=(name)=>columns.find(c=>c.name===name);
+
+        if(node.InsertStmt){
+            /** @type {Pg.InsertStmt} */
+            const insert=node.InsertStmt;
+            const names=insert.cols?.length?
+                insert.cols.map(c=>asAny(c).ResTarget?.name)
+            :
+                columns.map(c=>c.name);
+            for(const list of asAny(insert.selectStmt)?.SelectStmt?.valuesLists??[]){
+                asAny(list).List?.items?.forEach((/** @type {Pg.Node} */item,/** @type {number} */i)=>{
+                    setQueryParam(params,item,getColumn(names[i]));
+                });
+            }
+        }
+        // update set clauses and on conflict do update set clauses
+        const targets=node.UpdateStmt?node.UpdateStmt.targetList:node.InsertStmt?.onConflictClause?.targetList;
+        for(const t of targets??[]){
+            /** @type {Pg.ResTarget|undefined} */
+            const target=asAny(t).ResTarget;
+            setQueryParam(params,target?.val,getColumn(target?.name));
+        }
+        for(const key in s){
+            inferQueryParams(model,asAny(s)[key],scope,ctes,params);
+        }
+        return;
+    }
+
+    if(node.A_Expr){
+        /** @type {Pg.A_Expr} */
+        const e=node.A_Expr;
+        const op=getLastPgString(e.name);
+        const compare=(
+            e.kind==='AEXPR_LIKE' ||
+            e.kind==='AEXPR_ILIKE' ||
+            e.kind==='AEXPR_IN' ||
+            e.kind==='AEXPR_BETWEEN' ||
+            e.kind==='AEXPR_NOT_BETWEEN' ||
+            ((
+                e.kind==='AEXPR_OP' ||
+                e.kind==='AEXPR_OP_ANY' ||
+                e.kind==='AEXPR_OP_ALL' ||
+                e.kind==='AEXPR_DISTINCT' ||
+                e.kind==='AEXPR_NOT_DISTINCT'
+            ) && !!op && queryParamOperators.includes(op))
+        );
+        if(compare && e.lexpr && e.rexpr){
+            const left=resolveExpression(e.lexpr,scope);
+            const right=asAny(e.rexpr);
+            if(right.List){
+                // in and between lists
+                for(const item of right.List.items??[]){
+                    setQueryParam(params,item,{...left,notNull:true});
+                }
+            }else if(e.kind==='AEXPR_OP_ANY' || e.kind==='AEXPR_OP_ALL'){
+                // any and all compare to the items of an array
+                setQueryParam(params,e.rexpr,{
+                    ...left,
+                    typeName:left.typeName?{
+                        ...left.typeName,
+                        arrayBounds:[...(left.typeName.arrayBounds??[]),{Integer:{ival:-1}}],
+                    }:undefined,
+                    notNull:true,
+                });
+            }else{
+                setQueryParam(params,e.rexpr,{...left,notNull:true});
+                setQueryParam(params,e.lexpr,{...resolveExpression(e.rexpr,scope),notNull:true});
+            }
+        }
+    }
+
+    if(node.TypeCast){
+        /** @type {Pg.TypeCast} */
+        const c=node.TypeCast;
+        setQueryParam(params,c.arg,{name:'?column?',typeName:c.typeName,notNull:true});
+    }
+
+    for(const key in node){
+        inferQueryParams(model,node[key],scope,ctes,params);
+    }
+}
+
+/**
+ * Sets the type of a parameter if the node is a parameter reference whose type has not been
+ * inferred yet
+ * @param {Record<number,ResolvedColumn>} params
+ * @param {Pg.Node|undefined} node
+ * @param {ResolvedColumn|undefined} column
+ */
+const setQueryParam=(params,node,column)=>{
+    const n=asAny(node)?.ParamRef?.number;
+    if(typeof n === 'number' && column?.typeName && !params[n]){
+        params[n]=column;
+    }
+}
+
+/**
+ * Returns the result columns of a select statement or the returning list of an insert, update or
+ * delete statement. Undefined is returned for statements that do not return rows.
+ * @param {SchemaModel} model
+ * @param {any} stmt
+ * @returns {ResolvedColumn[]|undefined}
+ */
+const getQueryResultColumns=(model,stmt)=>{
+    if(stmt?.SelectStmt){
+        return resolveSelectColumns(model,stmt.SelectStmt,[]);
+    }
+    /** @type {Pg.InsertStmt|Pg.UpdateStmt|Pg.DeleteStmt|undefined} */
+    const s=stmt?.InsertStmt??stmt?.UpdateStmt??stmt?.DeleteStmt;
+    if(!s?.returningList?.length){
+        return undefined;
+    }
+    const ctes=getViewCtes(model,s.withClause,[]);
+    /** @type {ViewScopeItem[]} */
+    const scope=[];
+    if(s.relation){
+        addViewScopeItems(model,{RangeVar:s.relation},ctes,false,scope);
+    }
+    for(const from of asAny(s).fromClause??asAny(s).usingClause??[]){
+        addViewScopeItems(model,from,ctes,false,scope);
+    }
+    return resolveTargetList(s.returningList,scope);
+}
+
+/**
+ * Returns the TypeScript type of a resolved column or parameter type
+ * @param {Pg.TypeName} typeName
+ * @param {Record<string,TypeMapping>} typeMap
+ * @param {TypeDef[]} typeDefs
+ * @returns {{type:string,typeRef?:string,mapping:TypeMapping,arrayDimensions:number}|undefined}
+ */
+const getQueryValueType=(typeName,typeMap,typeDefs)=>{
+    const sqlType=getPgTypeName(typeName)?.toLowerCase();
+    if(!sqlType){
+        return undefined;
+    }
+    const mt=typeMap[sqlType]??typeMap['_default']??{name:'string'};
+    const typeRef=typeDefs.some(t=>t.name===mt.name && t.type!=='type')?mt.name:undefined;
+    const arrayDepth=typeName.arrayBounds?.length??0;
+    const type=mt.ts??mt.name;
+    return {
+        type:arrayDepth && type.includes('|')?`(${type})${'[]'.repeat(arrayDepth)}`:type+'[]'.repeat(arrayDepth),
+        typeRef,
+        mapping:{...mt,ts:type,sql:sqlType},
+        arrayDimensions:arrayDepth,
+    };
+}
+
+/**
+ * Creates a TypeScript module with a typed function for each query. Functions take a client that
+ * is compatible with the clients and pools of the `pg` package. Values of result rows are converted
+ * the same way as row mappers so that dates, int8 and numeric values match their generated types.
+ * @param {QueryDef[]} queries
+ * @param {string} typesImport Path generated types are imported from
+ * @param {string|undefined} ext
+ * @param {TypeDef[]} typeDefs Used to convert domain values using their base type
+ * @param {boolean} jsonText If true JSON values returned as text are parsed
+ * @returns {string}
+ */
+export const createQueriesFile=(queries,typesImport='./types-ts.ts',ext,typeDefs=[],jsonText=false)=>{
+    /** @type {Set<string>} */
+    const imports=new Set();
+    /** @type {Set<MapperHelper>} */
+    const helpers=new Set();
+    const out=[];
+
+    out.push('/**\n * Client used to run queries. Compatible with the clients and pools of the `pg` package\n */\n');
+    out.push(`export interface QueryClient\n{\n${indent}query(text:string,values?:any[]):Promise<{rows:any[]}>;\n}\n\n`);
+
+    for(const q of queries){
+        const typeName=toTsName(q.name);
+        for(const v of [...q.params,...q.columns]){
+            if(v.typeRef){
+                imports.add(v.typeRef);
+            }
+        }
+
+        out.push(`export const ${q.name}Sql=${JSON.stringify(q.sql)};\n\n`);
+
+        let paramsType='';
+        if(q.namedParams){
+            paramsType=`${typeName}Params`;
+            out.push(`export interface ${paramsType}\n{\n`);
+            for(const p of q.params){
+                out.push(`${indent}${toTsPropName(p.name)}:${p.type};\n`);
+            }
+            out.push('}\n\n');
+        }else if(q.params.length){
+            paramsType=`[${q.params.map(p=>p.type).join(',')}]`;
+        }
+
+        const rowType=`${typeName}Row`;
+        /** @type {string[]} */
+        const conversions=[];
+        if(q.command!=='exec'){
+            out.push(`export interface ${rowType}\n{\n`);
+            for(const c of q.columns){
+                out.push(`${indent}${toTsPropName(c.name)}:${c.type};\n`);
+                const access=`row[${JSON.stringify(c.name)}]`;
+                const value=c.mapping?toMapperValue(access,{type:c.mapping,arrayDimensions:c.arrayDimensions},typeDefs,'fromRow',helpers,jsonText):access;
+                if(value!==access){
+                    conversions.push(`${indent}${toTsPropName(c.name)}:${value},\n`);
+                }
+            }
+            out.push('}\n\n');
+        }
+        const mapRow=conversions.length?`fromRow${rowType}`:undefined;
+        if(mapRow){
+            out.push(`const ${mapRow}=(row:Record<string,any>)=>({\n${indent}...row,\n${conversions.join('')}}) as ${rowType};\n\n`);
+        }
+
+        const values=(
+            !q.params.length?'[]':
+            q.namedParams?`[${q.params.map(p=>`params${toJsPropAccess(p.name)}`).join(',')}]`:
+            'params'
+        );
+        if(q.description){
+            out.push(toJsDoc(q.description,'')+'\n');
+        }
+        out.push(`export const ${q.name}=async (client:QueryClient${paramsType?`,params:${paramsType}`:''}):Promise<${
+            q.command==='one'?`${rowType}|undefined`:q.command==='many'?`${rowType}[]`:'void'
+        }>=>{\n`);
+        switch(q.command){
+            case 'one':
+                out.push(`${indent}const result=await client.query(${q.name}Sql,${values});\n${indent}return ${
+                    mapRow?`result.rows[0]===undefined?undefined:${mapRow}(result.rows[0])`:'result.rows[0]'
+                };\n`);
+                break;
+            case 'many':
+                out.push(`${indent}const result=await client.query(${q.name}Sql,${values});\n${indent}return ${
+                    mapRow?`result.rows.map(${mapRow})`:'result.rows'
+                };\n`);
+                break;
+            default:
+                out.push(`${indent}await client.query(${q.name}Sql,${values});\n`);
+                break;
+        }
+        out.push('}\n\n');
+    }
+
+    /** @type {string[]} */
+    const head=[];
+    if(imports.size){
+        head.push(`import type { ${[...imports].join(', ')} } from "${replaceExt(typesImport,ext)}";\n\n`);
+    }
+    for(const helper of mapperHelperOrder){
+        if(helpers.has(helper)){
+            head.push(mapperHelpers[helper]+'\n\n');
+        }
+    }
+    return head.join('')+out.join('').trimEnd()+'\n';
+}
+
+///// Drizzle
+
+/**
+ * Creates a TypeScript file that defines Drizzle ORM tables and enums. Views are not included
+ * since Drizzle views are defined using queries.
+ * @param {TypeDef[]} typeDefs
+ * @param {string} typesImport Path domain and composite types are imported from
+ * @param {string|undefined} ext
+ * @returns {string}
+ */
+export const createDrizzleFile=(typeDefs,typesImport='./types-ts.ts',ext)=>{
+    const enums=typeDefs.filter(t=>t.type==='enum');
+    const tables=typeDefs.filter(t=>t.type==='type' && t.sqlTable && !t.readOnly);
+
+    /** @type {DrizzleImports} */
+    const imports={pgCore:new Set(),pgCoreTypes:new Set(),orm:new Set(),types:new Set()};
+    /** @type {Record<string,string>} */
+    const schemaVars={};
+    const out=[];
+
+    /**
+     * Returns the expression tables and enums of a schema are defined with
+     * @param {string|undefined} schema
+     * @param {'table'|'enum'} fn
+     */
+    const getDefine=(schema,fn)=>{
+        if(!schema || schema==='public'){
+            imports.pgCore.add(fn==='table'?'pgTable':'pgEnum');
+            return fn==='table'?'pgTable':'pgEnum';
+        }
+        let v=schemaVars[schema];
+        if(!v){
+            v=toDrizzleVarName(schema,'Schema');
+            schemaVars[schema]=v;
+            imports.pgCore.add('pgSchema');
+        }
+        return `${v}.${fn}`;
+    }
+
+    for(const e of enums){
+        const define=getDefine(e.sqlSchema,'enum');
+        if(e.description){
+            out.push(`${toJsDoc(e.description,'')}\n`);
+        }
+        out.push(`export const ${toDrizzleVarName(e.name,'Enum')}=${define}(${JSON.stringify(e.sqlType??e.name)},[${
+            (e.values??[]).map(v=>JSON.stringify(v)).join(',')
+        }]);\n\n`);
+    }
+
+    for(const t of tables){
+        const define=getDefine(t.sqlSchema,'table');
+        const tableVar=toDrizzleVarName(t.name,'Table');
+        const primaryProps=t.props.filter(p=>p.primary);
+        const fks=(t.relations??[]).filter(r=>(
+            !r.reverse &&
+            r.targetType &&
+            tables.some(tt=>tt.name===r.targetType)
+        ));
+        /** @type {string[]} */
+        const extra=[];
+
+        out.push(`/**\n`);
+        if(t.description){
+            out.push(`${toJsDoc(t.description,'',true)}\n`);
+        }
+        out.push(` * @table ${t.sqlTable}\n`);
+        if(t.sqlSchema){
+            out.push(` * @schema ${t.sqlSchema}\n`);
+        }
+        out.push(` */\n`);
+        out.push(`export const ${tableVar}=${define}(${JSON.stringify(t.sqlTable)},{\n`);
+        for(const p of t.props){
+            if(p.description){
+                out.push(`${toJsDoc(p.description,indent)}\n`);
+            }
+            let col=getDrizzleColumnBuilder(p,typeDefs,imports);
+            col+='.array()'.repeat(p.arrayDimensions??0);
+            if(p.primary && primaryProps.length===1){
+                col+='.primaryKey()';
+            }else if(!p.optional && !p.nullable){
+                col+='.notNull()';
+            }
+            col+=getDrizzleDefault(p,typeDefs,imports);
+            const fk=fks.find(r=>r.columns.length===1 && r.columns[0]===p.sqlName);
+            if(fk){
+                const targetVar=toDrizzleVarName(fk.targetType??'','Table');
+                const target=tables.find(tt=>tt.name===fk.targetType);
+                const self=fk.targetType===t.name;
+                if(self){
+                    // self references must be typed to avoid circular type inference
+                    imports.pgCoreTypes.add('AnyPgColumn');
+                }
+                /** @type {string[]} */
+                const actions=[];
+                if(fk.onDelete && fk.onDelete!=='no action'){
+                    actions.push(`onDelete:${JSON.stringify(fk.onDelete)}`);
+                }
+                if(fk.onUpdate && fk.onUpdate!=='no action'){
+                    actions.push(`onUpdate:${JSON.stringify(fk.onUpdate)}`);
+                }
+                col+=`.references(()${self?':AnyPgColumn':''}=>${targetVar}.${getColumnPropName(target,fk.targetColumns[0]??'')}${
+                    actions.length?`,{${actions.join(',')}}`:''
+                })`;
+            }
+            out.push(`${indent}${toTsPropName(p.name)}:${col},\n`);
+        }
+
+        if(primaryProps.length>1){
+            imports.pgCore.add('primaryKey');
+            extra.push(`primaryKey({columns:[${primaryProps.map(p=>toDrizzleColumnRef(p.name)).join(',')}]})`);
+        }
+        for(const fk of fks){
+            if(fk.columns.length<2){
+                continue;
+            }
+            imports.pgCore.add('foreignKey');
+            const targetVar=toDrizzleVarName(fk.targetType??'','Table');
+            const target=tables.find(tt=>tt.name===fk.targetType);
+            extra.push(`foreignKey({${
+                fk.constraintName?`name:${JSON.stringify(fk.constraintName)},`:''
+            }columns:[${fk.columns.map(c=>toDrizzleColumnRef(getColumnPropName(t,c))).join(',')}],foreignColumns:[${
+                fk.targetColumns.map(c=>`${targetVar}.${getColumnPropName(target,c)}`).join(',')
+            }]})${
+                fk.onDelete && fk.onDelete!=='no action'?`.onDelete(${JSON.stringify(fk.onDelete)})`:''
+            }${
+                fk.onUpdate && fk.onUpdate!=='no action'?`.onUpdate(${JSON.stringify(fk.onUpdate)})`:''
+            }`);
+        }
+
+        out.push(extra.length?`},t=>[\n${extra.map(e=>`${indent}${e},\n`).join('')}]);\n\n`:'});\n\n');
+    }
+
+    /** @type {string[]} */
+    const head=[];
+    if(imports.pgCore.size){
+        head.push(`import { ${[...imports.pgCore].sort().join(', ')} } from "drizzle-orm/pg-core";\n`);
+    }
+    if(imports.pgCoreTypes.size){
+        head.push(`import type { ${[...imports.pgCoreTypes].sort().join(', ')} } from "drizzle-orm/pg-core";\n`);
+    }
+    if(imports.orm.size){
+        head.push(`import { ${[...imports.orm].sort().join(', ')} } from "drizzle-orm";\n`);
+    }
+    if(imports.types.size){
+        head.push(`import type { ${[...imports.types].sort().join(', ')} } from "${replaceExt(typesImport,ext)}";\n`);
+    }
+    if(head.length){
+        head.push('\n');
+    }
+    for(const schema in schemaVars){
+        head.push(`export const ${schemaVars[schema]}=pgSchema(${JSON.stringify(schema)});\n\n`);
+    }
+    if(imports.pgCore.has('customType')){
+        head.push(
+            '/**\n * Defines a column of a type Drizzle does not provide a column builder for\n */\n'+
+            'const pgType=<T>(dataType:string)=>customType<{data:T,driverData:T}>({dataType:()=>dataType});\n\n'
+        );
+    }
+    return head.join('')+out.join('').trimEnd()+'\n';
+}
+
+ /**
+  * @typedef DrizzleImports
+  * @prop {Set<string>} pgCore Imports of `drizzle-orm/pg-core`
+  * @prop {Set<string>} pgCoreTypes Type imports of `drizzle-orm/pg-core`
+  * @prop {Set<string>} orm Imports of `drizzle-orm`
+  * @prop {Set<string>} types Type imports of the generated TypeScript types
+  */
+
+/**
+ * @param {string} name
+ * @param {string} suffix
+ * @returns {string}
+ */
+const toDrizzleVarName=(name,suffix)=>{
+    const n=toTsName(name);
+    return n.substring(0,1).toLowerCase()+n.substring(1)+suffix;
+}
+
+/**
+ * @param {string} column
+ * @returns {string}
+ */
+const toDrizzleColumnRef=(column)=>/^[a-zA-Z_$][\w$]*$/.test(column)?`t.${column}`:`t[${JSON.stringify(column)}]`;
+
+/**
+ * Returns the column builder call of a property, e.g. `varchar("name",{length:50})`
+ * @param {PropDef} p
+ * @param {TypeDef[]} typeDefs
+ * @param {DrizzleImports} imports
+ * @returns {string}
+ */
+const getDrizzleColumnBuilder=(p,typeDefs,imports)=>{
+    const name=JSON.stringify(p.sqlName);
+    const sql=p.type.sql?.toLowerCase()??'';
+
+    /**
+     * @param {string} fn
+     * @param {Record<string,any>=} config
+     */
+    const builder=(fn,config)=>{
+        imports.pgCore.add(fn);
+        /** @type {string[]} */
+        const c=[];
+        for(const k in config){
+            if(config[k]!==undefined){
+                c.push(`${k}:${JSON.stringify(config[k])}`);
+            }
+        }
+        return `${fn}(${name}${c.length?`,{${c.join(',')}}`:''})`;
+    }
+
+    const named=typeDefs.find(t=>t.name===p.type.name && t.type!=='type');
+    if(named?.type==='enum'){
+        return `${toDrizzleVarName(named.name,'Enum')}(${name})`;
+    }
+    if(named){
+        imports.pgCore.add('customType');
+        imports.types.add(named.name);
+        return `pgType<${named.name}>(${JSON.stringify(named.sqlType??p.type.sql)})(${name})`;
+    }
+
+    const intMode=p.type.name==='bigint'?'bigint':p.type.name==='number'?'number':undefined;
+    const dateMode=p.type.name==='Date'?'date':'string';
+    switch(sql){
+
+        case 'text': return builder('text');
+        case 'varchar': return builder('varchar',{length:p.maxLength});
+        case 'bpchar':
+        case 'char': return builder('char',{length:p.maxLength});
+        case 'uuid': return builder('uuid');
+        case 'int':
+        case 'integer':
+        case 'int4': return builder('integer');
+        case 'int2': return builder('smallint');
+        case 'smallserial':
+        case 'serial2': return builder('smallserial');
+        case 'serial':
+        case 'serial4': return builder('serial');
+        case 'int8':
+            if(intMode){
+                return builder('bigint',{mode:intMode});
+            }
+            break;
+        case 'bigserial':
+        case 'serial8':
+            if(intMode){
+                return builder('bigserial',{mode:intMode});
+            }
+            break;
+        case 'float4':
+        case 'real': return builder('real');
+        case 'float':
+        case 'float8': return builder('doublePrecision');
+        case 'numeric':
+        case 'decimal':
+            return builder('numeric',{
+                precision:p.precision,
+                scale:p.scale,
+                mode:p.type.name==='string'?undefined:intMode,
+            });
+        case 'bool':
+        case 'boolean': return builder('boolean');
+        case 'json': return builder('json');
+        case 'jsonb': return builder('jsonb');
+        case 'timestamptz': return builder('timestamp',{withTimezone:true,mode:dateMode});
+        case 'timestamp': return builder('timestamp',{mode:dateMode});
+        case 'date': return builder('date',{mode:dateMode});
+        case 'time': return builder('time');
+        case 'timetz': return builder('time',{withTimezone:true});
+        case 'interval': return builder('interval');
+        case 'inet': return builder('inet');
+        case 'cidr': return builder('cidr');
+        case 'macaddr': return builder('macaddr');
+        case 'macaddr8': return builder('macaddr8');
+        case 'point': return builder('point',{mode:'xy'});
+    }
+
+    imports.pgCore.add('customType');
+    return `pgType<${p.type.ts??p.type.name}>(${JSON.stringify(p.type.sql??'text')})(${name})`;
+}
+
+/**
+ * Returns the default, identity or generated column method of a property
+ * @param {PropDef} p
+ * @param {TypeDef[]} typeDefs
+ * @param {DrizzleImports} imports
+ * @returns {string}
+ */
+const getDrizzleDefault=(p,typeDefs,imports)=>{
+    if(p.identity==='always'){
+        return '.generatedAlwaysAsIdentity()';
+    }
+    if(p.identity==='byDefault'){
+        return '.generatedByDefaultAsIdentity()';
+    }
+    if(p.generatedExpression){
+        imports.orm.add('sql');
+        return `.generatedAlwaysAs(${toSqlTemplate(p.generatedExpression)})`;
+    }
+    if(p.defaultValue!==undefined){
+        return `.default(${toZodDefault(p.defaultValue,getLiteralTypeMapping(p.type,typeDefs))})`;
+    }
+    if(p.defaultExpression){
+        const expr=p.defaultExpression.toLowerCase();
+        if(expr==='now()' || expr==='current_timestamp'){
+            return '.defaultNow()';
+        }
+        if(expr==='gen_random_uuid()' && p.type.sql?.toLowerCase()==='uuid'){
+            return '.defaultRandom()';
+        }
+        imports.orm.add('sql');
+        return `.default(${toSqlTemplate(p.defaultExpression)})`;
+    }
+    return '';
+}
+
+/**
+ * @param {string} expr
+ * @returns {string}
+ */
+const toSqlTemplate=(expr)=>'sql`'+expr.replace(/[`\\]|\$\{/g,m=>'\\'+m)+'`';
+
+///// Check Constraints
+
+ /**
+  * @typedef CheckDef
+  * @prop {Pg.Node} expr
+  * @prop {string[]} columns Columns referenced by the check
+  */
+
+ /**
+  * @typedef ZodCheck
+  * @prop {string} methods Zod methods to append to a schema, e.g. `.min(1).max(10)`
+  * @prop {boolean} notNull True if the check requires the value to not be null
+  */
+
+ /**
+  * @typedef TypeModifiers
+  * @prop {number=} maxLength
+  * @prop {number=} precision
+  * @prop {number=} scale
+  */
+
+/**
+ * Returns the column and table level check constraints of a table
+ * @param {SchemaTable} table
+ * @returns {CheckDef[]}
+ */
+export const getTableChecks=(table)=>{
+    /** @type {CheckDef[]} */
+    const checks=[];
+    const constraints=[
+        ...table.columns.flatMap(c=>getPgConstraints(c.def.constraints)),
+        ...table.constraintList,
+    ];
+    for(const c of constraints){
+        if(c.contype==='CONSTR_CHECK' && c.raw_expr){
+            checks.push({expr:c.raw_expr,columns:getPgColumnRefs(c.raw_expr)});
+        }
+    }
+    return checks;
+}
+
+/**
+ * Returns the constraints of a table. Column constraints are converted to their table level form.
+ * @param {SchemaTable} table
+ * @returns {ConstraintDef[]}
+ */
+const getTableConstraintDefs=(table)=>{
+    /** @type {ConstraintDef[]} */
+    const defs=[];
+    /**
+     * @param {Pg.Constraint} c
+     * @param {string=} column Name of the column of a column constraint
+     */
+    const add=(c,column)=>{
+        const type=constraintDefTypes[c.contype??''];
+        if(!type){
+            return;
+        }
+        const constraint=structuredClone(c);
+        // the name is stored separately
+        delete constraint.conname;
+        if(column){
+            const key=[{String:{sval:column}}];
+            if(type==='foreignKey'){
+                constraint.fk_attrs=key;
+            }else if(type!=='check'){
+                constraint.keys=key;
+            }
+        }
+        defs.push({
+            name:c.conname||undefined,
+            type,
+            columns:(type==='check' && c.raw_expr)?
+                getPgColumnRefs(c.raw_expr)
+            :type==='exclusion'?
+                (c.exclusions??[]).flatMap(e=>getIndexElemColumns(asAny(e)?.List?.items?.[0]))
+            :
+                getPgStrings(type==='foreignKey'?constraint.fk_attrs:constraint.keys),
+            definition:deparseSync({Constraint:constraint}).replace(/\s+/g,' ').trim()
+                .replace(/^FOREIGN KEY\(/,'FOREIGN KEY (')
+                .replace(/^CHECK \( (.*) \)$/,'CHECK ($1)'),
+        });
+    }
+    for(const col of table.columns){
+        for(const c of getPgConstraints(col.def.constraints)){
+            add(c,col.def.colname);
+        }
+    }
+    for(const c of table.constraintList){
+        add(c);
+    }
+    return defs;
+}
+
+/** @type {Record<string,ConstraintDef['type']>} */
+const constraintDefTypes={
+    CONSTR_PRIMARY:'primaryKey',
+    CONSTR_UNIQUE:'unique',
+    CONSTR_CHECK:'check',
+    CONSTR_FOREIGN:'foreignKey',
+    CONSTR_EXCLUSION:'exclusion',
+};
+
+/**
+ * @param {Pg.IndexStmt} index
+ * @returns {IndexDef}
+ */
+const toIndexDef=(index)=>{
+    return {
+        name:index.idxname||undefined,
+        columns:(index.indexParams??[]).map(p=>{
+            /** @type {Pg.IndexElem|undefined} */
+            const elem=asAny(p)?.IndexElem;
+            return elem?.name??(elem?.expr?deparseSync(elem.expr):'');
+        }),
+        unique:index.unique||undefined,
+        method:(index.accessMethod && index.accessMethod!=='btree')?index.accessMethod:undefined,
+        where:index.whereClause?deparseSync(index.whereClause):undefined,
+        definition:deparseSync({IndexStmt:{...index,if_not_exists:false}}),
+    };
+}
+
+/**
+ * @param {any} node
+ * @returns {string[]}
+ */
+const getIndexElemColumns=(node)=>{
+    /** @type {Pg.IndexElem|undefined} */
+    const elem=node?.IndexElem;
+    return elem?.name?[elem.name]:elem?.expr?getPgColumnRefs(elem.expr):[];
+}
+
+/**
+ * Returns the max length of string types and the precision and scale of numeric types
+ * @param {Pg.TypeName|undefined} typeName
+ * @returns {TypeModifiers}
+ */
+export const getPgTypeModifiers=(typeName)=>{
+    const type=getPgTypeName(typeName)?.toLowerCase();
+    const mods=(typeName?.typmods??[]).map(n=>getPgConstValue(n)).filter(v=>typeof v === 'number');
+    if(!type || !mods.length){
+        return {};
+    }
+    switch(type){
+        case 'varchar':
+        case 'bpchar':
+        case 'char':
+        case 'character':
+            return {maxLength:mods[0]};
+        case 'numeric':
+        case 'decimal':
+            return {precision:mods[0],scale:mods[1]??0};
+        default:
+            return {};
+    }
+}
+
+/**
+ * Converts type modifiers to Zod methods
+ * @param {TypeModifiers} mods
+ * @param {'string'|'number'|undefined} kind
+ * @returns {string}
+ */
+export const typeModifiersToZod=(mods,kind)=>{
+    if(kind==='string' && mods.maxLength!==undefined){
+        return `.max(${mods.maxLength})`;
+    }
+    if(kind==='number' && mods.precision!==undefined){
+        const scale=mods.scale??0;
+        const limit='1'+'0'.repeat(Math.max(mods.precision-scale,0));
+        return `.gt(-${limit}).lt(${limit})${scale?`.multipleOf(0.${'0'.repeat(scale-1)}1)`:'.int()'}`;
+    }
+    return '';
+}
+
+/**
+ * Converts a check expression that references a single column to Zod methods. Comparisons,
+ * `between`, `length()` and regular expressions are converted to built-in Zod methods and other
+ * expressions that can be converted to JavaScript are added as refinements.
+ * @param {Pg.Node} expr
+ * @param {string} column
+ * @param {'string'|'number'|undefined} kind
+ * @returns {ZodCheck}
+ */
+export const checkToZod=(expr,column,kind)=>{
+    const methods=[];
+    let notNull=false;
+    for(const part of getPgAndExpressions(expr)){
+        const n=asAny(part);
+        if(n.NullTest?.nulltesttype==='IS_NOT_NULL' && isPgColumnRef(n.NullTest.arg,column)){
+            notNull=true;
+            continue;
+        }
+        const simple=kind?checkToZodMethod(part,column,kind):undefined;
+        if(simple){
+            methods.push(simple);
+            continue;
+        }
+        if(!kind){
+            continue;
+        }
+        const js=pgExpressionToJs(part,name=>name===column?'v':undefined);
+        if(js){
+            methods.push(`.refine(v=>${js},{message:${JSON.stringify(`Check failed: ${deparseSync(part)}`)}})`);
+        }
+    }
+    return {methods:methods.join(''),notNull};
+}
+
+/**
+ * Converts a check expression that references multiple columns to an object level Zod refinement.
+ * Checks pass when a referenced column is null, matching how Postgres evaluates checks, unless the
+ * check explicitly tests for null.
+ * @param {Pg.Node} expr
+ * @param {(column:string)=>boolean} canConvert Returns true if the column can be referenced in JavaScript
+ * @param {(column:string)=>string} getProp Returns the property name of a column
+ * @returns {string|undefined}
+ */
+export const checkToZodObjectRefine=(expr,canConvert,getProp=column=>column)=>{
+    const js=pgExpressionToJs(expr,name=>canConvert(name)?`o${toJsPropAccess(getProp(name))}`:undefined);
+    if(!js){
+        return undefined;
+    }
+    const guard=hasPgNode(expr,'NullTest')?'':getPgColumnRefs(expr).map(c=>`o${toJsPropAccess(getProp(c))}==null || `).join('');
+    return `.refine(o=>${guard}${js},{message:${JSON.stringify(`Check failed: ${deparseSync(expr)}`)}})`;
+}
+
+/**
+ * @param {Pg.Node} part
+ * @param {string} column
+ * @param {'string'|'number'} kind
+ * @returns {string|undefined}
+ */
+const checkToZodMethod=(part,column,kind)=>{
+    /** @type {Pg.A_Expr|undefined} */
+    const e=asAny(part).A_Expr;
+    if(!e?.lexpr || !e.rexpr){
+        return undefined;
+    }
+    const op=getPgString(e.name?.[0]);
+
+    if(e.kind==='AEXPR_BETWEEN'){
+        const [min,max]=(asAny(e.rexpr).List?.items??[]).map(getPgConstValue);
+        if(typeof min !== 'number' || typeof max !== 'number'){
+            return undefined;
+        }
+        if(kind==='number' && isPgColumnRef(e.lexpr,column)){
+            return `.gte(${min}).lte(${max})`;
+        }
+        if(kind==='string' && isPgLengthOf(e.lexpr,column)){
+            return `.min(${min}).max(${max})`;
+        }
+        return undefined;
+    }
+
+    if(e.kind!=='AEXPR_OP' || !op){
+        return undefined;
+    }
+
+    if((op==='~' || op==='~*') && kind==='string' && isPgColumnRef(e.lexpr,column)){
+        const pattern=getPgConstValue(e.rexpr);
+        const regex=typeof pattern === 'string'?toJsRegex(pattern,op==='~*'?'i':''):undefined;
+        return regex?`.regex(${regex})`:undefined;
+    }
+
+    // normalize to `column op value`
+    let left=e.lexpr;
+    let right=e.rexpr;
+    let cop=op;
+    if(getPgConstValue(left)!==undefined){
+        left=e.rexpr;
+        right=e.lexpr;
+        cop=flippedOps[op]??op;
+    }
+    const value=getPgConstValue(right);
+    if(typeof value !== 'number'){
+        return undefined;
+    }
+
+    if(kind==='number' && isPgColumnRef(left,column)){
+        switch(cop){
+            case '>': return `.gt(${value})`;
+            case '>=': return `.gte(${value})`;
+            case '<': return `.lt(${value})`;
+            case '<=': return `.lte(${value})`;
+        }
+        return undefined;
+    }
+
+    if(kind==='string' && isPgLengthOf(left,column)){
+        switch(cop){
+            case '>': return `.min(${value+1})`;
+            case '>=': return `.min(${value})`;
+            case '<': return `.max(${value-1})`;
+            case '<=': return `.max(${value})`;
+            case '=': return `.length(${value})`;
+        }
+    }
+    return undefined;
+}
+
+/** @type {Record<string,string>} */
+const flippedOps={
+    '>':'<',
+    '>=':'<=',
+    '<':'>',
+    '<=':'>=',
+}
+
+/** @type {Record<string,string>} */
+const jsOps={
+    '=':'===',
+    '<>':'!==',
+    '!=':'!==',
+    '<':'<',
+    '<=':'<=',
+    '>':'>',
+    '>=':'>=',
+    '+':'+',
+    '-':'-',
+    '*':'*',
+    '/':'/',
+    '%':'%',
+    '||':'+',
+}
+
+/**
+ * Converts a SQL expression to a JavaScript expression. Returns undefined if the expression
+ * contains nodes that can not be converted.
+ * @param {Pg.Node|undefined} node
+ * @param {(column:string)=>string|undefined} resolveColumn Returns the JavaScript expression of a column
+ * @returns {string|undefined}
+ */
+export const pgExpressionToJs=(node,resolveColumn)=>{
+    const n=asAny(node);
+    if(!n){
+        return undefined;
+    }
+
+    if(n.ColumnRef){
+        const name=getLastPgString(n.ColumnRef.fields);
+        return name?resolveColumn(name):undefined;
+    }
+
+    if(n.A_Const || n.TypeCast){
+        const value=getPgConstValue(node);
+        if(value!==undefined){
+            return JSON.stringify(value);
+        }
+        return n.TypeCast?pgExpressionToJs(n.TypeCast.arg,resolveColumn):undefined;
+    }
+
+    if(n.BoolExpr){
+        const args=(n.BoolExpr.args??[]).map(a=>pgExpressionToJs(a,resolveColumn));
+        if(!args.length || args.some(a=>a===undefined)){
+            return undefined;
+        }
+        switch(n.BoolExpr.boolop){
+            case 'AND_EXPR': return `(${args.join(' && ')})`;
+            case 'OR_EXPR': return `(${args.join(' || ')})`;
+            case 'NOT_EXPR': return `!${args[0]}`;
+        }
+        return undefined;
+    }
+
+    if(n.NullTest){
+        const arg=pgExpressionToJs(n.NullTest.arg,resolveColumn);
+        if(!arg){
+            return undefined;
+        }
+        return `(${arg}${n.NullTest.nulltesttype==='IS_NULL'?'==':'!='}null)`;
+    }
+
+    if(n.FuncCall){
+        const name=getLastPgString(n.FuncCall.funcname)?.toLowerCase();
+        const arg=pgExpressionToJs(n.FuncCall.args?.[0],resolveColumn);
+        if(!arg || (n.FuncCall.args?.length??0)!==1){
+            return undefined;
+        }
+        switch(name){
+            case 'length':
+            case 'char_length':
+            case 'character_length': return `${arg}.length`;
+            case 'lower': return `${arg}.toLowerCase()`;
+            case 'upper': return `${arg}.toUpperCase()`;
+            case 'trim':
+            case 'btrim': return `${arg}.trim()`;
+            case 'abs': return `Math.abs(${arg})`;
+        }
+        return undefined;
+    }
+
+    if(n.A_Expr){
+        /** @type {Pg.A_Expr} */
+        const e=n.A_Expr;
+        const op=getPgString(e.name?.[0]);
+        const left=pgExpressionToJs(e.lexpr,resolveColumn);
+        if(!left || !op){
+            return undefined;
+        }
+        const list=asAny(e.rexpr)?.List?.items;
+
+        switch(e.kind){
+
+            case 'AEXPR_IN':{
+                const values=(list??[]).map(v=>pgExpressionToJs(v,resolveColumn));
+                if(!values.length || values.some(v=>v===undefined)){
+                    return undefined;
+                }
+                return `${op==='<>'?'!':''}[${values.join(',')}].includes(${left})`;
+            }
+
+            case 'AEXPR_BETWEEN':
+            case 'AEXPR_NOT_BETWEEN':{
+                const [min,max]=(list??[]).map(v=>pgExpressionToJs(v,resolveColumn));
+                if(!min || !max){
+                    return undefined;
+                }
+                return `${e.kind==='AEXPR_NOT_BETWEEN'?'!':''}(${left}>=${min} && ${left}<=${max})`;
+            }
+
+            case 'AEXPR_LIKE':
+            case 'AEXPR_ILIKE':{
+                const pattern=getPgConstValue(e.rexpr);
+                if(typeof pattern !== 'string'){
+                    return undefined;
+                }
+                const regex=toJsRegex(likeToRegex(pattern),e.kind==='AEXPR_ILIKE'?'i':'');
+                return regex?`${op.startsWith('!')?'!':''}${regex}.test(${left})`:undefined;
+            }
+
+            case 'AEXPR_OP':{
+                if(op==='~' || op==='~*' || op==='!~' || op==='!~*'){
+                    const pattern=getPgConstValue(e.rexpr);
+                    if(typeof pattern !== 'string'){
+                        return undefined;
+                    }
+                    const regex=toJsRegex(pattern,op.endsWith('*')?'i':'');
+                    return regex?`${op.startsWith('!')?'!':''}${regex}.test(${left})`:undefined;
+                }
+                const jsOp=jsOps[op];
+                const right=pgExpressionToJs(e.rexpr,resolveColumn);
+                if(!jsOp || !right){
+                    return undefined;
+                }
+                return `(${left}${jsOp}${right})`;
+            }
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Splits an expression into the parts of top level `and` expressions
+ * @param {Pg.Node} expr
+ * @returns {Pg.Node[]}
+ */
+const getPgAndExpressions=(expr)=>{
+    const b=asAny(expr).BoolExpr;
+    if(b?.boolop==='AND_EXPR'){
+        return (b.args??[]).flatMap(getPgAndExpressions);
+    }
+    return [expr];
+}
+
+/**
+ * Returns the value of a constant or a constant cast to another type
+ * @param {Pg.Node|undefined} node
+ * @returns {string|number|boolean|undefined}
+ */
+export const getPgConstValue=(node)=>{
+    const n=asAny(node);
+    if(n?.TypeCast){
+        return getPgConstValue(n.TypeCast.arg);
+    }
+    /** @type {Pg.A_Const|undefined} */
+    const c=n?.A_Const;
+    if(!c || c.isnull){
+        return undefined;
+    }
+    if(c.ival){
+        return c.ival.ival??0;
+    }
+    if(c.fval){
+        return Number(c.fval.fval);
+    }
+    if(c.sval){
+        return c.sval.sval??'';
+    }
+    if(c.boolval){
+        return c.boolval.boolval??false;
+    }
+    return undefined;
+}
+
+/**
+ * Returns the distinct names of all columns referenced by an expression
+ * @param {any} node
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+export const getPgColumnRefs=(node,names=[])=>{
+    if(!node || typeof node !== 'object'){
+        return names;
+    }
+    if(node.ColumnRef){
+        const name=getLastPgString(node.ColumnRef.fields);
+        if(name && !names.includes(name)){
+            names.push(name);
+        }
+        return names;
+    }
+    for(const key in node){
+        getPgColumnRefs(node[key],names);
+    }
+    return names;
+}
+
+/**
+ * Returns true if the node or any of its descendants is of the given node type
+ * @param {any} node
+ * @param {string} type
+ * @returns {boolean}
+ */
+const hasPgNode=(node,type)=>{
+    if(!node || typeof node !== 'object'){
+        return false;
+    }
+    if(node[type]){
+        return true;
+    }
+    for(const key in node){
+        if(hasPgNode(node[key],type)){
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {Pg.Node|undefined} node
+ * @param {string} column
+ * @returns {boolean}
+ */
+const isPgColumnRef=(node,column)=>getLastPgString(asAny(node)?.ColumnRef?.fields)===column;
+
+/**
+ * Returns true if the node is a call to `length()` or `char_length()` with the column as its argument
+ * @param {Pg.Node|undefined} node
+ * @param {string} column
+ * @returns {boolean}
+ */
+const isPgLengthOf=(node,column)=>{
+    /** @type {Pg.FuncCall|undefined} */
+    const f=asAny(node)?.FuncCall;
+    const name=getLastPgString(f?.funcname)?.toLowerCase();
+    return (
+        (name==='length' || name==='char_length' || name==='character_length') &&
+        f?.args?.length===1 &&
+        isPgColumnRef(f.args[0],column)
+    );
+}
+
+/**
+ * Converts a LIKE pattern to a regular expression pattern
+ * @param {string} pattern
+ * @returns {string}
+ */
+const likeToRegex=(pattern)=>{
+    let reg='';
+    for(let i=0;i<pattern.length;i++){
+        const ch=pattern[i]??'';
+        if(ch==='\\' && i+1<pattern.length){
+            reg+=(pattern[++i]??'').replace(/[.*+?^${}()|[\]\\/]/g,'\\$&');
+        }else if(ch==='%'){
+            reg+='.*';
+        }else if(ch==='_'){
+            reg+='.';
+        }else{
+            reg+=ch.replace(/[.*+?^${}()|[\]\\/]/g,'\\$&');
+        }
+    }
+    return `^${reg}$`;
+}
+
+/**
+ * POSIX character classes of Postgres regular expressions and their JavaScript equivalents. Classes
+ * that are not listed are not translated.
+ * @type {Record<string,string>}
+ */
+const posixRegexClasses={
+    alpha:'\\p{L}',
+    alnum:'\\p{L}\\p{N}',
+    upper:'\\p{Lu}',
+    lower:'\\p{Ll}',
+    digit:'0-9',
+    xdigit:'0-9A-Fa-f',
+    word:'\\p{L}\\p{N}_',
+    space:'\\s',
+    blank:' \\t',
+    punct:'\\p{P}\\p{S}',
+    cntrl:'\\p{Cc}',
+};
+
+/**
+ * Escapes of Postgres regular expressions that are written differently in JavaScript. `\m` and `\M`
+ * match the start and end of a word and are translated to word boundaries.
+ * @type {Record<string,string>}
+ */
+const pgRegexEscapes={
+    m:'\\b',
+    M:'\\b',
+    y:'\\b',
+    Y:'\\B',
+    A:'^',
+    Z:'$',
+};
+
+/**
+ * Returns a JavaScript regular expression literal for a Postgres regular expression. Unescaped
+ * slashes are escaped and POSIX character classes and Postgres specific escapes are translated.
+ * Undefined is returned if the pattern can not be translated.
+ * @param {string} pattern
+ * @param {string} flags
+ * @returns {string|undefined}
+ */
+const toJsRegex=(pattern,flags)=>{
+    let out='';
+    let inClass=false;
+    let unicode=false;
+    for(let i=0;i<pattern.length;i++){
+        const ch=pattern[i];
+        if(ch==='\\'){
+            const next=pattern[i+1]??'';
+            i++;
+            const escape=inClass?undefined:pgRegexEscapes[next];
+            out+=escape??('\\'+next);
+        }else if(inClass && ch==='[' && pattern[i+1]===':'){
+            const end=pattern.indexOf(':]',i+2);
+            const cls=end===-1?undefined:posixRegexClasses[pattern.substring(i+2,end)];
+            if(!cls){
+                return undefined;
+            }
+            unicode||=cls.includes('\\p');
+            out+=cls;
+            i=end+1;
+        }else if(ch==='['){
+            inClass=true;
+            out+=ch;
+            if(pattern[i+1]==='^'){
+                out+='^';
+                i++;
+            }
+            // a closing bracket at the start of a class is a literal
+            if(pattern[i+1]===']'){
+                out+='\\]';
+                i++;
+            }
+        }else if(ch===']' && inClass){
+            inClass=false;
+            out+=ch;
+        }else if(ch==='/'){
+            out+='\\/';
+        }else if(ch==='\n'){
+            out+='\\n';
+        }else{
+            out+=ch;
+        }
+    }
+    if(unicode){
+        flags+='u';
+    }
+    try{
+        new RegExp(out,flags);
+    }catch{
+        return undefined;
+    }
+    return `/${out}/${flags}`;
+}
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+const toJsPropAccess=(name)=>/^[a-zA-Z_$][\w$]*$/.test(name)?`.${name}`:`[${JSON.stringify(name)}]`;
+
+/**
+ * Returns the kind of value checks are applied to. Checks are only translated for numbers and
+ * text types, since types such as timestamps and int8 values mapped to strings can not be
+ * compared as strings.
+ * @param {string|undefined} sqlType
+ * @param {TypeMapping} mt
+ * @returns {'string'|'number'|undefined}
+ */
+const getCheckKind=(sqlType,mt)=>{
+    if(mt.name==='number'){
+        return 'number';
+    }
+    if(mt.name==='string' && textSqlTypes.includes(sqlType??'')){
+        return 'string';
+    }
+    return undefined;
+}
+
+const textSqlTypes=['text','varchar','bpchar','char','character','name','citext','uuid'];
+
+///// Default Values
+
+ /**
+  * @typedef ColumnDefault
+  * @prop {any=} value Parsed value of a literal default
+  * @prop {string=} expression SQL expression of a default that is not a literal, e.g. `now()`
+  */
+
+/**
+ * Returns the parsed value of a column's default if the default is a literal or the SQL expression
+ * of the default otherwise. Literal values are converted to the JavaScript type of the column.
+ * Literals of types other than strings, numbers, booleans, bigints, JSON and dates are returned
+ * as expressions.
+ * @param {Pg.Constraint[]} constraints
+ * @param {TypeMapping} mt
+ * @param {number} arrayDepth
+ * @returns {ColumnDefault|undefined}
+ */
+export const getColumnDefault=(constraints,mt,arrayDepth)=>{
+    const expr=constraints.find(c=>c.contype==='CONSTR_DEFAULT')?.raw_expr;
+    if(!expr){
+        return undefined;
+    }
+    const literal=getPgLiteral(expr);
+    if(literal){
+        const value=convertPgLiteral(literal.value,mt,arrayDepth);
+        if(value){
+            return {value:value.value};
+        }
+    }
+    return {expression:deparseSync(expr)};
+}
+
+/**
+ * Returns the type mapping literal defaults are converted to. Enum values are strings and domains
+ * use the mapping of their base type.
+ * @param {TypeMapping} mt
+ * @param {TypeDef[]} typeDefs
+ * @returns {TypeMapping}
+ */
+const getLiteralTypeMapping=(mt,typeDefs)=>{
+    const named=typeDefs.find(t=>t.name===mt.name && t.type!=='type');
+    if(named?.type==='enum'){
+        return {...mt,name:'string'};
+    }
+    if(named?.type==='domain' && named.baseType && !named.arrayDimensions){
+        return named.baseType;
+    }
+    return mt;
+}
+
+/**
+ * Returns a default value as a JavaScript expression matching the output type of a Zod schema
+ * @param {any} value
+ * @param {TypeMapping} mt
+ * @returns {string}
+ */
+const toZodDefault=(value,mt)=>{
+    if(Array.isArray(value)){
+        return `[${value.map(v=>toZodDefault(v,mt)).join(',')}]`;
+    }
+    if(value===null){
+        return 'null';
+    }
+    switch(mt.name){
+        case 'bigint': return `${value}n`;
+        case 'Date': return `new Date(${JSON.stringify(value)})`;
+        default: return JSON.stringify(value);
+    }
+}
+
+/**
+ * Returns the value of a constant, array of constants or constant cast to another type wrapped
+ * in an object so that null values can be distinguished from non-literal expressions.
+ * @param {Pg.Node|undefined} node
+ * @returns {{value:any}|undefined}
+ */
+const getPgLiteral=(node)=>{
+    const n=asAny(node);
+    if(n?.TypeCast){
+        return getPgLiteral(n.TypeCast.arg);
+    }
+    if(n?.A_Const?.isnull){
+        return {value:null};
+    }
+    if(n?.A_Const?.fval){
+        // decimal and integer constants too large for int4 keep their source text so that int8 and
+        // numeric values are not rounded before they are converted to the type of the column
+        return {value:n.A_Const.fval.fval??'0'};
+    }
+    if(n?.A_ArrayExpr){
+        const values=[];
+        for(const e of n.A_ArrayExpr.elements??[]){
+            const v=getPgLiteral(e);
+            if(!v){
+                return undefined;
+            }
+            values.push(v.value);
+        }
+        return {value:values};
+    }
+    const value=getPgConstValue(node);
+    return value===undefined?undefined:{value};
+}
+
+/**
+ * Converts a literal value to the JavaScript type of a column
+ * @param {any} value
+ * @param {TypeMapping} mt
+ * @param {number} arrayDepth
+ * @returns {{value:any}|undefined}
+ */
+const convertPgLiteral=(value,mt,arrayDepth)=>{
+    if(value===null){
+        return {value};
+    }
+    if(arrayDepth){
+        const items=typeof value === 'string'?parsePgArrayLiteral(value):value;
+        if(!Array.isArray(items)){
+            return undefined;
+        }
+        const converted=[];
+        for(const item of items){
+            const c=convertPgLiteral(item,mt,arrayDepth-1);
+            if(!c){
+                return undefined;
+            }
+            converted.push(c.value);
+        }
+        return {value:converted};
+    }
+    if(Array.isArray(value)){
+        return undefined;
+    }
+    switch(mt.name){
+
+        case 'number':{
+            const text=String(value).trim();
+            const n=Number(text);
+            if(!isFinite(n)){
+                return undefined;
+            }
+            // values that can not be represented exactly as numbers, such as large int8 and numeric
+            // values, are kept as expressions so that they are not rounded
+            const digits=text.replace(/^[-+]/,'').replace(/e.*$/i,'').replace('.','').replace(/^0+/,'');
+            if(digits.length>15 && !Number.isSafeInteger(n)){
+                return undefined;
+            }
+            return {value:n};
+        }
+
+        case 'bigint':
+            // bigint values are stored as strings since they can not be serialized as JSON
+            return /^-?\d+$/.test(String(value))?{value:String(value)}:undefined;
+
+        case 'boolean':
+            if(typeof value === 'boolean'){
+                return {value};
+            }
+            switch(String(value).trim().toLowerCase()){
+                case 't': case 'true': case 'y': case 'yes': case 'on': case '1':
+                    return {value:true};
+                case 'f': case 'false': case 'n': case 'no': case 'off': case '0':
+                    return {value:false};
+            }
+            return undefined;
+
+        case 'json':
+            try{
+                return {value:JSON.parse(String(value))};
+            }catch{
+                return undefined;
+            }
+
+        case 'string':
+        case 'Date':
+            return {value:String(value)};
+
+        default:
+            // values of other types such as Uint8Array and geometric objects can not be created
+            // from literals and are kept as expressions
+            return undefined;
+    }
+}
+
+/**
+ * Parses a one dimensional Postgres array literal, e.g. `{a,"b c",NULL}`
+ * @param {string} literal
+ * @returns {(string|null)[]|undefined}
+ */
+const parsePgArrayLiteral=(literal)=>{
+    const str=literal.trim();
+    if(!str.startsWith('{') || !str.endsWith('}')){
+        return undefined;
+    }
+    const body=str.substring(1,str.length-1);
+    /** @type {(string|null)[]} */
+    const items=[];
+    if(!body.trim()){
+        return items;
+    }
+    let i=0;
+    while(i<body.length){
+        while(body[i]===' '){
+            i++;
+        }
+        if(body[i]==='{'){
+            // nested arrays are not supported
+            return undefined;
+        }
+        let end;
+        if(body[i]==='"'){
+            let item='';
+            i++;
+            while(i<body.length && body[i]!=='"'){
+                if(body[i]==='\\'){
+                    i++;
+                }
+                item+=body[i]??'';
+                i++;
+            }
+            items.push(item);
+            end=body.indexOf(',',i);
+        }else{
+            end=body.indexOf(',',i);
+            const item=body.substring(i,end===-1?undefined:end).trim();
+            items.push(item.toUpperCase()==='NULL'?null:item);
+        }
+        if(end===-1){
+            break;
+        }
+        i=end+1;
+    }
+    return items;
+}
+
+///// Schema Model
+
+ /**
+  * @typedef SchemaModel
+  * @prop {SchemaTable[]} tables
+  * @prop {SchemaTable[]} views
+  * @prop {SchemaTable[]} composites Composite types created using `create type ... as (...)`
+  * @prop {SchemaEnum[]} enums
+  * @prop {SchemaDomain[]} domains
+  * @prop {SchemaFunction[]} functions Functions created using `create function`. Procedures are not
+  *                                    included
+  */
+
+ /**
+  * @typedef SchemaTable
+  * @prop {string} name
+  * @prop {string=} schema
+  * @prop {number} location Location of the create statement
+  * @prop {SchemaColumn[]} columns
+  * @prop {Pg.Constraint[]} constraintList Table level constraints
+  * @prop {'view'|'materialized'=} viewType Set for views. The columns of views are resolved from the
+  *                                         tables and views they select from
+  * @prop {boolean=} composite Set for composite types
+  * @prop {string=} comment Text of a `COMMENT ON` statement
+  * @prop {Pg.IndexStmt[]=} indexes Indexes of tables and materialized views
+  */
+
+ /**
+  * @typedef SchemaColumn
+  * @prop {Pg.ColumnDef} def
+  * @prop {string=} sqlDef
+  * @prop {string=} comment Text of a `COMMENT ON COLUMN` statement
+  * @prop {SchemaColumn=} source Table or view column a view column selects without changing its type
+  */
+
+ /**
+  * @typedef SchemaDomain
+  * @prop {string} name
+  * @prop {string=} schema
+  * @prop {number} location Location of the create statement
+  * @prop {Pg.TypeName} typeName Base type
+  * @prop {Pg.Constraint[]} constraints
+  * @prop {string=} comment Text of a `COMMENT ON` statement
+  */
+
+ /**
+  * @typedef SchemaEnum
+  * @prop {string} name
+  * @prop {string=} schema
+  * @prop {number} location Location of the create statement
+  * @prop {string[]} values
+  * @prop {string=} comment Text of a `COMMENT ON` statement
+  */
+
+ /**
+  * @typedef SchemaFunction
+  * @prop {string} name
+  * @prop {string=} schema
+  * @prop {number} location Location of the create statement
+  * @prop {Pg.FunctionParameter[]} parameters Parameters of all modes including `out` and `table`
+  *                                           parameters
+  * @prop {Pg.TypeName=} returnType
+  */
+
+/**
+ * Builds an in-memory model of the schema by replaying create, alter, rename and drop statements
+ * in order.
+ * @param {Pg.RawStmt[]} statements
+ * @param {string} sql
+ * @param {SqlSource[]=} sources Used to report file relative locations
+ * @returns {SchemaModel}
+ */
+export const createSchemaModel=(statements,sql,sources)=>{
+    /** @type {SchemaModel} */
+    const model={tables:[],views:[],composites:[],enums:[],domains:[],functions:[]};
+    for(const st of statements){
+        applySchemaStatement(model,st,sql,sources);
+    }
+    return model;
+}
+
+/**
+ * Applies a single statement to the schema model. Statements that do not change the shape of
+ * tables or enums are ignored.
+ * @param {SchemaModel} model
+ * @param {Pg.RawStmt} st
+ * @param {string} sql
+ * @param {SqlSource[]=} sources Used to report file relative locations
+ */
+export const applySchemaStatement=(model,st,sql,sources)=>{
+    const stmt=asAny(st.stmt);
+    if(!stmt){
+        return;
+    }
+
+    if(stmt.CreateStmt){
+        const c=getPgCreateTable(st);
+        if(!c){
+            return;
+        }
+        const existing=findModelTable(model,c.name,c.schema);
+        if(existing && c.if_not_exists){
+            return;
+        }
+        /** @type {SchemaTable} */
+        const table={
+            name:c.name,
+            schema:c.schema,
+            location:c.location,
+            columns:[],
+            constraintList:structuredClone(c.constraintList),
+        };
+        for(let ti=0;ti<c.tableElts.length;ti++){
+            const def=getPgColumnDef(c.tableElts[ti]);
+            if(!def){
+                continue;
+            }
+            const next=getPgColumnDef(c.tableElts[ti+1])??getPgConstraint(c.tableElts[ti+1]);
+            table.columns.push({
+                def:structuredClone(def),
+                sqlDef:def.location?removeTrailingComma(removeSqlComments(sql.substring(def.location,(
+                    next?.location??c.endLocation
+                )))):undefined,
+            });
+        }
+        if(existing){
+            model.tables.splice(model.tables.indexOf(existing),1,table);
+        }else{
+            model.tables.push(table);
+        }
+    }else if(stmt.ViewStmt || stmt.CreateTableAsStmt?.objtype==='OBJECT_MATVIEW'){
+        /** @type {Pg.ViewStmt|undefined} */
+        const v=stmt.ViewStmt;
+        /** @type {Pg.CreateTableAsStmt|undefined} */
+        const m=stmt.CreateTableAsStmt;
+        const relation=v?v.view:m?.into?.rel;
+        const select=asAny(v?v.query:m?.query)?.SelectStmt;
+        if(!relation?.relname || !select){
+            return;
+        }
+        const existing=findModelView(model,relation.relname,relation.schemaname);
+        if(existing && m?.if_not_exists){
+            return;
+        }
+        const columns=resolveSelectColumns(model,select,[]);
+        const aliases=getPgStrings(v?v.aliases:m?.into?.colNames);
+        /** @type {SchemaTable} */
+        const view={
+            name:relation.relname,
+            schema:relation.schemaname,
+            location:st.stmt_location??0,
+            viewType:m?'materialized':'view',
+            constraintList:[],
+            columns:columns.map((c,i)=>{
+                const name=aliases[i]??c.name;
+                if(!c.typeName){
+                    warnVerbose(`Unable to resolve type of view column ${relation.relname}.${name}, the default type mapping will be used - ${formatSqlSourceLocation(sources,sql,c.location??0)}`);
+                }
+                return {
+                    def:{
+                        colname:name,
+                        typeName:c.typeName?structuredClone(c.typeName):undefined,
+                        constraints:c.notNull?[{Constraint:{contype:'CONSTR_NOTNULL'}}]:[],
+                        location:c.location,
+                    },
+                    sqlDef:c.target?deparseSync(c.target):undefined,
+                    source:c.source,
+                }
+            }),
+        };
+        if(existing){
+            model.views.splice(model.views.indexOf(existing),1,view);
+        }else{
+            model.views.push(view);
+        }
+    }else if(stmt.IndexStmt){
+        /** @type {Pg.IndexStmt} */
+        const s=stmt.IndexStmt;
+        const table=(
+            findModelTable(model,s.relation?.relname,s.relation?.schemaname)??
+            findModelView(model,s.relation?.relname,s.relation?.schemaname)
+        );
+        if(!table){
+            warnVerbose(`CREATE INDEX target not found - ${s.relation?.relname} - ${formatSqlSourceLocation(sources,sql,s.relation?.location??st.stmt_location??0)}`);
+            return;
+        }
+        const indexes=table.indexes??(table.indexes=[]);
+        const existing=s.idxname?indexes.find(i=>i.idxname===s.idxname):undefined;
+        if(existing){
+            if(!s.if_not_exists){
+                indexes.splice(indexes.indexOf(existing),1,structuredClone(s));
+            }
+            return;
+        }
+        indexes.push(structuredClone(s));
+    }else if(stmt.CompositeTypeStmt){
+        /** @type {Pg.CompositeTypeStmt} */
+        const c=stmt.CompositeTypeStmt;
+        const relation=c.typevar;
+        if(!relation?.relname){
+            return;
+        }
+        const existing=findModelComposite(model,relation.relname,relation.schemaname);
+        /** @type {SchemaTable} */
+        const composite={
+            name:relation.relname,
+            schema:relation.schemaname,
+            location:st.stmt_location??0,
+            composite:true,
+            constraintList:[],
+            columns:[],
+        };
+        const end=(st.stmt_location??0)+(st.stmt_len||(sql.length-(st.stmt_location??0)));
+        for(const node of c.coldeflist??[]){
+            const def=getPgColumnDef(node);
+            if(!def){
+                continue;
+            }
+            composite.columns.push({
+                def:structuredClone(def),
+                sqlDef:def.location?removeTrailingComma(removeSqlComments(sql.substring(
+                    def.location,
+                    findSqlElementEnd(sql,def.location,end)
+                ))).replace(/\)$/,'').trim():undefined,
+            });
+        }
+        if(existing){
+            model.composites.splice(model.composites.indexOf(existing),1,composite);
+        }else{
+            model.composites.push(composite);
+        }
+    }else if(stmt.CreateDomainStmt){
+        /** @type {Pg.CreateDomainStmt} */
+        const d=stmt.CreateDomainStmt;
+        const {name,schema}=splitPgName(getPgStrings(d.domainname));
+        if(!name || !d.typeName){
+            return;
+        }
+        const existing=findModelDomain(model,name,schema);
+        if(existing){
+            model.domains.splice(model.domains.indexOf(existing),1);
+        }
+        model.domains.push({
+            name,
+            schema,
+            location:st.stmt_location??0,
+            typeName:structuredClone(d.typeName),
+            constraints:structuredClone(getPgConstraints(d.constraints)),
+        });
+    }else if(stmt.CreateFunctionStmt){
+        /** @type {Pg.CreateFunctionStmt} */
+        const f=stmt.CreateFunctionStmt;
+        const {name,schema}=splitPgName(getPgStrings(f.funcname));
+        if(!name || f.is_procedure){
+            return;
+        }
+        /** @type {Pg.FunctionParameter[]} */
+        const parameters=(f.parameters??[]).map(p=>asAny(p)?.FunctionParameter).filter(p=>p);
+        // functions with different argument types are overloads
+        const existing=findModelFunction(model,name,schema,getFunctionArgTypes(parameters));
+        /** @type {SchemaFunction} */
+        const fn={
+            name,
+            schema,
+            location:st.stmt_location??0,
+            parameters:structuredClone(parameters),
+            returnType:f.returnType?structuredClone(f.returnType):undefined,
+        };
+        if(existing){
+            model.functions.splice(model.functions.indexOf(existing),1,fn);
+        }else{
+            model.functions.push(fn);
+        }
+    }else if(stmt.AlterDomainStmt){
+        /** @type {Pg.AlterDomainStmt} */
+        const s=stmt.AlterDomainStmt;
+        const {name,schema}=splitPgName(getPgStrings(s.typeName));
+        const d=findModelDomain(model,name,schema);
+        if(!d){
+            return;
+        }
+        switch(s.subtype){
+            case 'C':{// add constraint
+                const c=getPgConstraint(s.def);
+                if(c){
+                    d.constraints.push(structuredClone(c));
+                }
+                break;
+            }
+            case 'X':// drop constraint
+                d.constraints=d.constraints.filter(c=>c.conname!==s.name);
+                break;
+            case 'O':// set not null
+                if(!d.constraints.some(c=>c.contype==='CONSTR_NOTNULL')){
+                    d.constraints.push({contype:'CONSTR_NOTNULL'});
+                }
+                break;
+            case 'N':// drop not null
+                d.constraints=d.constraints.filter(c=>c.contype!=='CONSTR_NOTNULL');
+                break;
+        }
+    }else if(stmt.CreateEnumStmt){
+        const c=getPgCreateEnum(st);
+        if(!c){
+            return;
+        }
+        const {name,schema}=splitPgName(getPgStrings(c.typeName));
+        const existing=findModelEnum(model,name,schema);
+        if(existing){
+            model.enums.splice(model.enums.indexOf(existing),1);
+        }
+        model.enums.push({
+            name:c.name,
+            schema,
+            location:c.location,
+            values:getPgStrings(c.vals),
+        });
+    }else if(stmt.AlterTableStmt){
+        /** @type {Pg.AlterTableStmt} */
+        const s=stmt.AlterTableStmt;
+        if(s.objtype!=='OBJECT_TABLE' && s.objtype!=='OBJECT_TYPE'){
+            return;
+        }
+        const table=(s.objtype==='OBJECT_TYPE'?
+            findModelComposite(model,s.relation?.relname,s.relation?.schemaname)
+        :
+            findModelTable(model,s.relation?.relname,s.relation?.schemaname)
+        );
+        if(!table){
+            if(!s.missing_ok){
+                warnVerbose(`ALTER TABLE target not found - ${s.relation?.relname} - ${formatSqlSourceLocation(sources,sql,s.relation?.location??st.stmt_location??0)}`);
+            }
+            return;
+        }
+        const end=(st.stmt_location??0)+(st.stmt_len||(sql.length-(st.stmt_location??0)));
+        for(const node of s.cmds??[]){
+            /** @type {Pg.AlterTableCmd|undefined} */
+            const cmd=asAny(node)?.AlterTableCmd;
+            if(cmd){
+                applyAlterTableCmd(table,cmd,sql,end,sources);
+            }
+        }
+    }else if(stmt.AlterEnumStmt){
+        /** @type {Pg.AlterEnumStmt} */
+        const s=stmt.AlterEnumStmt;
+        const {name,schema}=splitPgName(getPgStrings(s.typeName));
+        const e=findModelEnum(model,name,schema);
+        if(!e || !s.newVal){
+            return;
+        }
+        if(s.oldVal){
+            const i=e.values.indexOf(s.oldVal);
+            if(i!==-1){
+                e.values[i]=s.newVal;
+            }
+            return;
+        }
+        if(e.values.includes(s.newVal)){
+            return;
+        }
+        const ni=s.newValNeighbor?e.values.indexOf(s.newValNeighbor):-1;
+        if(ni===-1){
+            e.values.push(s.newVal);
+        }else{
+            e.values.splice(s.newValIsAfter?ni+1:ni,0,s.newVal);
+        }
+    }else if(stmt.RenameStmt){
+        /** @type {Pg.RenameStmt} */
+        const s=stmt.RenameStmt;
+        if(!s.newname){
+            return;
+        }
+        switch(s.renameType){
+
+            case 'OBJECT_TABLE':
+            case 'OBJECT_VIEW':
+            case 'OBJECT_MATVIEW':{
+                const table=(s.renameType==='OBJECT_TABLE'?
+                    findModelTable(model,s.relation?.relname,s.relation?.schemaname)
+                :
+                    findModelView(model,s.relation?.relname,s.relation?.schemaname)
+                );
+                if(table){
+                    if(s.renameType==='OBJECT_TABLE'){
+                        const newname=s.newname;
+                        updateReferencingForeignKeys(model,table,c=>{
+                            if(c.pktable){
+                                c.pktable.relname=newname;
+                            }
+                        });
+                    }
+                    // functions returning the row type of the table
+                    for(const f of model.functions){
+                        const {name,schema}=splitPgName(getPgStrings(f.returnType?.names));
+                        if(name===table.name && isSameSchema(schema,table.schema)){
+                            renamePgStrings(f.returnType?.names,name,s.newname);
+                        }
+                    }
+                    table.name=s.newname;
+                }
+                break;
+            }
+
+            case 'OBJECT_COLUMN':
+            case 'OBJECT_ATTRIBUTE':{
+                const table=(s.renameType==='OBJECT_ATTRIBUTE'?
+                    findModelComposite(model,s.relation?.relname,s.relation?.schemaname)
+                :
+                    findModelTable(model,s.relation?.relname,s.relation?.schemaname)??
+                    findModelView(model,s.relation?.relname,s.relation?.schemaname)
+                );
+                const col=table?.columns.find(c=>c.def.colname===s.subname);
+                if(!table || !col || !s.subname){
+                    break;
+                }
+                col.def.colname=s.newname;
+                updateColumnSqlDef(col);
+                for(const c of table.constraintList){
+                    renamePgStrings(c.keys,s.subname,s.newname);
+                    renamePgStrings(c.fk_attrs,s.subname,s.newname);
+                }
+                if(s.renameType==='OBJECT_COLUMN'){
+                    const {subname,newname}=s;
+                    updateReferencingForeignKeys(model,table,c=>renamePgStrings(c.pk_attrs,subname,newname));
+                }
+                for(const index of table.indexes??[]){
+                    for(const p of index.indexParams??[]){
+                        const elem=asAny(p)?.IndexElem;
+                        if(elem?.name===s.subname){
+                            elem.name=s.newname;
+                        }
+                    }
+                }
+                break;
+            }
+
+            case 'OBJECT_INDEX':{
+                const index=findModelIndex(model,s.relation?.relname,s.relation?.schemaname);
+                if(index){
+                    index.index.idxname=s.newname;
+                }
+                break;
+            }
+
+            case 'OBJECT_FUNCTION':{
+                for(const f of findModelFunctions(model,asAny(s.object)?.ObjectWithArgs)){
+                    f.name=s.newname;
+                }
+                break;
+            }
+
+            case 'OBJECT_TABCONSTRAINT':{
+                const table=findModelTable(model,s.relation?.relname,s.relation?.schemaname);
+                const c=table?.constraintList.find(c=>c.conname===s.subname);
+                if(c){
+                    c.conname=s.newname;
+                }
+                break;
+            }
+
+            case 'OBJECT_TYPE':
+            case 'OBJECT_DOMAIN':{
+                const {name,schema}=splitPgName(getPgStrings(asAny(s.object)?.List?.items));
+                const type=(s.renameType==='OBJECT_DOMAIN'?
+                    findModelDomain(model,name,schema)
+                :
+                    findModelEnum(model,name,schema)??
+                    findModelComposite(model,name,schema)
+                );
+                if(!type || !name){
+                    break;
+                }
+                // unqualified references resolve to types outside of the public schema when no
+                // public type has the same name
+                const qualifiedName=toSqlQualifiedName(name,type.schema);
+                const unqualified=!isSameSchema(type.schema,'public') && !(
+                    findModelEnum(model,name,'public')??
+                    findModelComposite(model,name,'public')??
+                    findModelDomain(model,name,'public')
+                );
+                /**
+                 * @param {Pg.TypeName|undefined} typeName
+                 */
+                const isRenamedType=(typeName)=>{
+                    const n=getPgTypeName(typeName);
+                    return n===qualifiedName || (unqualified && n===name);
+                }
+                type.name=s.newname;
+                for(const table of [...model.tables,...model.views,...model.composites]){
+                    for(const col of table.columns){
+                        if(isRenamedType(col.def.typeName)){
+                            renamePgStrings(col.def.typeName?.names,name,s.newname);
+                            updateColumnSqlDef(col);
+                        }
+                    }
+                }
+                for(const d of model.domains){
+                    if(isRenamedType(d.typeName)){
+                        renamePgStrings(d.typeName.names,name,s.newname);
+                    }
+                }
+                for(const f of model.functions){
+                    for(const typeName of [f.returnType,...f.parameters.map(p=>p.argType)]){
+                        if(isRenamedType(typeName)){
+                            renamePgStrings(typeName?.names,name,s.newname);
+                        }
+                    }
+                }
+                break;
+            }
+        }
+    }else if(stmt.AlterObjectSchemaStmt){
+        /** @type {Pg.AlterObjectSchemaStmt} */
+        const s=stmt.AlterObjectSchemaStmt;
+        if(s.objectType==='OBJECT_TABLE' || s.objectType==='OBJECT_VIEW' || s.objectType==='OBJECT_MATVIEW'){
+            const table=(s.objectType==='OBJECT_TABLE'?
+                findModelTable(model,s.relation?.relname,s.relation?.schemaname)
+            :
+                findModelView(model,s.relation?.relname,s.relation?.schemaname)
+            );
+            if(table){
+                table.schema=s.newschema;
+            }
+        }else if(s.objectType==='OBJECT_TYPE' || s.objectType==='OBJECT_DOMAIN'){
+            const {name,schema}=splitPgName(getPgStrings(asAny(s.object)?.List?.items));
+            const type=(s.objectType==='OBJECT_DOMAIN'?
+                findModelDomain(model,name,schema)
+            :
+                findModelEnum(model,name,schema)??
+                findModelComposite(model,name,schema)
+            );
+            if(type){
+                type.schema=s.newschema;
+            }
+        }
+    }else if(stmt.CommentStmt){
+        /** @type {Pg.CommentStmt} */
+        const s=stmt.CommentStmt;
+        const comment=s.comment||undefined;
+        const obj=asAny(s.object);
+        const parts=getPgStrings(obj?.List?.items??obj?.TypeName?.names);
+        switch(s.objtype){
+
+            case 'OBJECT_TABLE':
+            case 'OBJECT_VIEW':
+            case 'OBJECT_MATVIEW':{
+                const {name,schema}=splitPgName(parts);
+                const table=(s.objtype==='OBJECT_TABLE'?
+                    findModelTable(model,name,schema)
+                :
+                    findModelView(model,name,schema)
+                );
+                if(table){
+                    table.comment=comment;
+                }
+                break;
+            }
+
+            case 'OBJECT_COLUMN':{
+                const colName=parts.pop();
+                const {name,schema}=splitPgName(parts);
+                const table=(
+                    findModelTable(model,name,schema)??
+                    findModelView(model,name,schema)??
+                    findModelComposite(model,name,schema)
+                );
+                const col=table?.columns.find(c=>c.def.colname===colName);
+                if(col){
+                    col.comment=comment;
+                }
+                break;
+            }
+
+            case 'OBJECT_TYPE':
+            case 'OBJECT_DOMAIN':{
+                const {name,schema}=splitPgName(parts);
+                const type=(s.objtype==='OBJECT_DOMAIN'?
+                    findModelDomain(model,name,schema)
+                :
+                    findModelEnum(model,name,schema)??
+                    findModelComposite(model,name,schema)??
+                    findModelDomain(model,name,schema)
+                );
+                if(type){
+                    type.comment=comment;
+                }
+                break;
+            }
+        }
+    }else if(stmt.DropStmt){
+        /** @type {Pg.DropStmt} */
+        const s=stmt.DropStmt;
+        for(const obj of s.objects??[]){
+            if(s.removeType==='OBJECT_TABLE'){
+                const {name,schema}=splitPgName(getPgStrings(asAny(obj)?.List?.items));
+                const table=findModelTable(model,name,schema);
+                if(table){
+                    model.tables.splice(model.tables.indexOf(table),1);
+                }
+            }else if(s.removeType==='OBJECT_VIEW' || s.removeType==='OBJECT_MATVIEW'){
+                const {name,schema}=splitPgName(getPgStrings(asAny(obj)?.List?.items));
+                const view=findModelView(model,name,schema);
+                if(view){
+                    model.views.splice(model.views.indexOf(view),1);
+                }
+            }else if(s.removeType==='OBJECT_TYPE'){
+                const {name,schema}=splitPgName(getPgStrings(asAny(obj)?.TypeName?.names));
+                const e=findModelEnum(model,name,schema);
+                if(e){
+                    model.enums.splice(model.enums.indexOf(e),1);
+                }
+                const c=findModelComposite(model,name,schema);
+                if(c){
+                    model.composites.splice(model.composites.indexOf(c),1);
+                }
+            }else if(s.removeType==='OBJECT_INDEX'){
+                const {name,schema}=splitPgName(getPgStrings(asAny(obj)?.List?.items));
+                const index=findModelIndex(model,name,schema);
+                if(index){
+                    index.table.indexes?.splice(index.table.indexes.indexOf(index.index),1);
+                }
+            }else if(s.removeType==='OBJECT_DOMAIN'){
+                const {name,schema}=splitPgName(getPgStrings(asAny(obj)?.TypeName?.names));
+                const d=findModelDomain(model,name,schema);
+                if(d){
+                    model.domains.splice(model.domains.indexOf(d),1);
+                }
+            }else if(s.removeType==='OBJECT_FUNCTION'){
+                for(const f of findModelFunctions(model,asAny(obj)?.ObjectWithArgs)){
+                    model.functions.splice(model.functions.indexOf(f),1);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * @param {SchemaTable} table
+ * @param {Pg.AlterTableCmd} cmd
+ * @param {string} sql
+ * @param {number} statementEnd
+ * @param {SqlSource[]=} sources
+ */
+const applyAlterTableCmd=(table,cmd,sql,statementEnd,sources)=>{
+    const col=cmd.name?table.columns.find(c=>c.def.colname===cmd.name):undefined;
+    switch(cmd.subtype){
+
+        case 'AT_AddColumn':{
+            /** @type {Pg.ColumnDef|undefined} */
+            const def=getPgColumnDef(cmd.def);
+            if(!def?.colname){
+                break;
+            }
+            const existing=table.columns.find(c=>c.def.colname===def.colname);
+            if(existing){
+                if(!cmd.missing_ok){
+                    warnVerbose(`ALTER TABLE ${table.name} ADD COLUMN ${def.colname} - column already exists - ${formatSqlSourceLocation(sources,sql,def.location??0)}`);
+                }
+                break;
+            }
+            table.columns.push({
+                def:structuredClone(def),
+                sqlDef:def.location?removeTrailingComma(removeSqlComments(sql.substring(
+                    def.location,
+                    findSqlElementEnd(sql,def.location,statementEnd)
+                ))):undefined,
+            });
+            break;
+        }
+
+        case 'AT_DropColumn':
+            if(!col){
+                break;
+            }
+            table.columns.splice(table.columns.indexOf(col),1);
+            // single column constraints are dropped along with the column
+            table.constraintList=table.constraintList.filter(c=>{
+                const keys=[
+                    ...getPgStrings(c.keys),
+                    ...getPgStrings(c.fk_attrs),
+                    ...(c.exclusions??[]).flatMap(e=>getIndexElemColumns(asAny(e)?.List?.items?.[0])),
+                ];
+                return !keys.includes(col.def.colname??'');
+            });
+            // indexes that include the column are dropped along with the column
+            if(table.indexes){
+                table.indexes=table.indexes.filter(i=>!getIndexColumns(i).includes(col.def.colname??''));
+            }
+            break;
+
+        case 'AT_SetNotNull':
+            if(col && !getPgConstraints(col.def.constraints).some(c=>c.contype==='CONSTR_NOTNULL')){
+                addColumnConstraint(col,{contype:'CONSTR_NOTNULL'});
+            }
+            break;
+
+        case 'AT_DropNotNull':
+            if(col){
+                removeColumnConstraints(col,c=>c.contype==='CONSTR_NOTNULL');
+            }
+            break;
+
+        case 'AT_ColumnDefault':
+            if(!col){
+                break;
+            }
+            removeColumnConstraints(col,c=>c.contype==='CONSTR_DEFAULT');
+            if(cmd.def){
+                addColumnConstraint(col,{contype:'CONSTR_DEFAULT',raw_expr:cmd.def});
+            }
+            break;
+
+        case 'AT_AlterColumnType':{
+            const def=getPgColumnDef(cmd.def);
+            if(col && def?.typeName){
+                col.def.typeName=structuredClone(def.typeName);
+                updateColumnSqlDef(col);
+            }
+            break;
+        }
+
+        case 'AT_AddIdentity':{
+            const c=getPgConstraint(cmd.def);
+            if(col && c){
+                addColumnConstraint(col,structuredClone(c));
+            }
+            break;
+        }
+
+        case 'AT_DropIdentity':
+            if(col){
+                removeColumnConstraints(col,c=>c.contype==='CONSTR_IDENTITY');
+            }
+            break;
+
+        case 'AT_AddConstraint':{
+            const c=getPgConstraint(cmd.def);
+            if(c){
+                table.constraintList.push(structuredClone(c));
+            }
+            break;
+        }
+
+        case 'AT_DropConstraint':
+            table.constraintList=table.constraintList.filter(c=>c.conname!==cmd.name);
+            for(const col of table.columns){
+                if(getPgConstraints(col.def.constraints).some(c=>c.conname===cmd.name)){
+                    removeColumnConstraints(col,c=>c.conname===cmd.name);
+                }
+            }
+            break;
+    }
+}
+
+/**
+ * @param {SchemaModel} model
+ * @param {string|null|undefined} name
+ * @param {string|null|undefined} schema
+ * @returns {SchemaTable|undefined}
+ */
+export const findModelTable=(model,name,schema)=>{
+    if(!name){
+        return undefined;
+    }
+    return model.tables.find(t=>t.name===name && isSameSchema(t.schema,schema));
+}
+
+/**
+ * @param {SchemaModel} model
+ * @param {string|null|undefined} name
+ * @param {string|null|undefined} schema
+ * @returns {SchemaTable|undefined}
+ */
+export const findModelView=(model,name,schema)=>{
+    if(!name){
+        return undefined;
+    }
+    return model.views.find(t=>t.name===name && isSameSchema(t.schema,schema));
+}
+
+/**
+ * Finds an index by name. Indexes are in the same schema as their table.
+ * @param {SchemaModel} model
+ * @param {string|null|undefined} name
+ * @param {string|null|undefined} schema
+ * @returns {{table:SchemaTable,index:Pg.IndexStmt}|undefined}
+ */
+export const findModelIndex=(model,name,schema)=>{
+    if(!name){
+        return undefined;
+    }
+    for(const table of [...model.tables,...model.views]){
+        const index=isSameSchema(table.schema,schema)?table.indexes?.find(i=>i.idxname===name):undefined;
+        if(index){
+            return {table,index};
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Returns the columns referenced by the columns and expressions of an index
+ * @param {Pg.IndexStmt} index
+ * @returns {string[]}
+ */
+const getIndexColumns=(index)=>(index.indexParams??[]).flatMap(getIndexElemColumns);
+
+/**
+ * @param {SchemaModel} model
+ * @param {string|null|undefined} name
+ * @param {string|null|undefined} schema
+ * @returns {SchemaEnum|undefined}
+ */
+export const findModelEnum=(model,name,schema)=>{
+    if(!name){
+        return undefined;
+    }
+    return model.enums.find(e=>e.name===name && isSameSchema(e.schema,schema));
+}
+
+/**
+ * @param {SchemaModel} model
+ * @param {string|null|undefined} name
+ * @param {string|null|undefined} schema
+ * @returns {SchemaTable|undefined}
+ */
+export const findModelComposite=(model,name,schema)=>{
+    if(!name){
+        return undefined;
+    }
+    return model.composites.find(t=>t.name===name && isSameSchema(t.schema,schema));
+}
+
+/**
+ * @param {SchemaModel} model
+ * @param {string|null|undefined} name
+ * @param {string|null|undefined} schema
+ * @returns {SchemaDomain|undefined}
+ */
+export const findModelDomain=(model,name,schema)=>{
+    if(!name){
+        return undefined;
+    }
+    return model.domains.find(d=>d.name===name && isSameSchema(d.schema,schema));
+}
+
+/**
+ * @param {SchemaModel} model
+ * @param {string} name
+ * @param {string|undefined} schema
+ * @param {string} argTypes Argument types returned by `getFunctionArgTypes`
+ * @returns {SchemaFunction|undefined}
+ */
+const findModelFunction=(model,name,schema,argTypes)=>model.functions.find(f=>(
+    f.name===name &&
+    isSameSchema(f.schema,schema) &&
+    getFunctionArgTypes(f.parameters)===argTypes
+));
+
+/**
+ * Returns the functions referenced by the name and optional argument types of a drop or alter
+ * statement. All overloads are returned when argument types are not given.
+ * @param {SchemaModel} model
+ * @param {Pg.ObjectWithArgs|undefined} obj
+ * @returns {SchemaFunction[]}
+ */
+const findModelFunctions=(model,obj)=>{
+    const {name,schema}=splitPgName(getPgStrings(obj?.objname));
+    if(!obj || !name){
+        return [];
+    }
+    const argTypes=obj.args_unspecified?undefined:(obj.objargs??[]).map(a=>getFunctionArgType(asAny(a)?.TypeName)).join(',');
+    return model.functions.filter(f=>(
+        f.name===name &&
+        isSameSchema(f.schema,schema) &&
+        (argTypes===undefined || getFunctionArgTypes(f.parameters)===argTypes)
+    ));
+}
+
+/**
+ * Returns the input argument types of a function joined by commas. Functions are identified by
+ * their name and input argument types.
+ * @param {Pg.FunctionParameter[]} parameters
+ * @returns {string}
+ */
+const getFunctionArgTypes=(parameters)=>parameters
+    .filter(isFunctionInput)
+    .map(p=>getFunctionArgType(p.argType))
+    .join(',');
+
+/**
+ * @param {Pg.TypeName|undefined} typeName
+ * @returns {string}
+ */
+const getFunctionArgType=(typeName)=>(getPgTypeName(typeName)?.toLowerCase()??'')+'[]'.repeat(typeName?.arrayBounds?.length??0);
+
+/**
+ * Returns true if a function parameter is an argument of the function
+ * @param {Pg.FunctionParameter} p
+ * @returns {boolean}
+ */
+const isFunctionInput=(p)=>p.mode!=='FUNC_PARAM_OUT' && p.mode!=='FUNC_PARAM_TABLE';
+
+/**
+ * Unqualified names are treated as belonging to the public schema
+ * @param {string|null|undefined} a
+ * @param {string|null|undefined} b
+ */
+const isSameSchema=(a,b)=>(a||'public')===(b||'public');
+
+/**
+ * Splits a possibly schema qualified name into its parts
+ * @param {string[]} parts
+ * @returns {{name:string|undefined,schema:string|undefined}}
+ */
+const splitPgName=(parts)=>({
+    name:parts[parts.length-1],
+    schema:parts.length>1?parts[parts.length-2]:undefined,
+});
+
+/**
+ * @param {SchemaColumn} col
+ * @param {Pg.Constraint} constraint
+ */
+const addColumnConstraint=(col,constraint)=>{
+    if(!col.def.constraints){
+        col.def.constraints=[];
+    }
+    col.def.constraints.push({Constraint:constraint});
+    updateColumnSqlDef(col);
+}
+
+/**
+ * @param {SchemaColumn} col
+ * @param {(c:Pg.Constraint)=>boolean} filter
+ */
+const removeColumnConstraints=(col,filter)=>{
+    if(!col.def.constraints){
+        return;
+    }
+    col.def.constraints=col.def.constraints.filter(n=>{
+        const c=getPgConstraint(n);
+        return !c || !filter(c);
+    });
+    updateColumnSqlDef(col);
+}
+
+/**
+ * Regenerates the SQL definition of a column after it has been altered
+ * @param {SchemaColumn} col
+ */
+const updateColumnSqlDef=(col)=>{
+    col.sqlDef=deparseSync({ColumnDef:col.def});
+}
+
+/**
+ * Calls the update function with each inline and table level foreign key that references the
+ * target table. Used to keep foreign keys in sync when a table or column is renamed and should be
+ * called before the target is renamed.
+ * @param {SchemaModel} model
+ * @param {SchemaTable} target
+ * @param {(constraint:Pg.Constraint)=>void} update
+ */
+const updateReferencingForeignKeys=(model,target,update)=>{
+    /**
+     * @param {Pg.Constraint} c
+     */
+    const isReference=(c)=>(
+        c.contype==='CONSTR_FOREIGN' &&
+        findModelTable(model,c.pktable?.relname,c.pktable?.schemaname)===target
+    );
+    for(const table of model.tables){
+        for(const col of table.columns){
+            const refs=getPgConstraints(col.def.constraints).filter(isReference);
+            refs.forEach(update);
+            if(refs.length){
+                updateColumnSqlDef(col);
+            }
+        }
+        table.constraintList.filter(isReference).forEach(update);
+    }
+}
+
+/**
+ * @param {Pg.Node[]|null|undefined} nodes
+ * @param {string} from
+ * @param {string} to
+ */
+const renamePgStrings=(nodes,from,to)=>{
+    if(!nodes){
+        return;
+    }
+    for(const node of nodes){
+        const str=asAny(node)?.String;
+        if(str?.sval===from){
+            str.sval=to;
+        }
+    }
+}
+
+/**
+ * Returns the index of the first top level comma or the end of the statement starting from the
+ * given index. Commas within parentheses, quotes and comments are ignored.
+ * @param {string} sql
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+const findSqlElementEnd=(sql,start,end)=>{
+    let depth=0;
+    for(let i=start;i<end;i++){
+        const ch=sql[i];
+        if(ch==="'" || ch==='"'){
+            const close=sql.indexOf(ch,i+1);
+            if(close===-1){
+                return end;
+            }
+            i=close;
+        }else if(ch==='-' && sql[i+1]==='-'){
+            const nl=sql.indexOf('\n',i);
+            if(nl===-1){
+                return end;
+            }
+            i=nl;
+        }else if(ch==='('){
+            depth++;
+        }else if(ch===')'){
+            depth--;
+        }else if(ch===',' && depth===0){
+            return i;
+        }
+    }
+    return end;
+}
+
+///// Naming
+
+ /**
+  * @typedef {'table'|'view'|'composite'|'enum'|'domain'} TypeNameKind
+  */
+
+ /**
+  * @typedef TypeNameInfo
+  * @prop {string} sqlName Name of the table, view or type
+  * @prop {string=} schema
+  * @prop {TypeNameKind} kind
+  */
+
+ /**
+  * @typedef PropNameInfo
+  * @prop {string} sqlName Name of the column or relation
+  * @prop {'column'|'relation'} kind
+  * @prop {string=} table Name of the table, view or composite type of the property
+  * @prop {string=} schema
+  */
+
+ /**
+  * `preserve` uses column names as property names and `camel` converts them to camelCase
+  * @typedef {'preserve'|'camel'} PropCase
+  */
+
+ /**
+  * Custom naming functions receive the default generated name and return the name to use.
+  * Returning an empty value keeps the default name.
+  * @typedef NamingOptions
+  * @prop {boolean=} singularNames Singularizes the names of tables and views, e.g. `accounts` -> `Account`
+  * @prop {string=} typePrefix Prefix added to the names of types
+  * @prop {string=} typeSuffix Suffix added to the names of types
+  * @prop {PropCase=} propCase Casing of property names. Default `preserve`
+  * @prop {string=} zodSuffix Suffix added to type names to name Zod schemas. Default `Schema`
+  * @prop {((name:string,info:TypeNameInfo)=>string|undefined)=} typeName Returns the name of a type
+  * @prop {((name:string,info:PropNameInfo)=>string|undefined)=} propName Returns the name of a property
+  * @prop {((typeName:string)=>string|undefined)=} zodName Returns the name of the Zod schema of a type
+  */
+
+/**
+ * Returns the generated name of a table, view or type. The SQL name is singularized, prefixed with
+ * its schema and converted to PascalCase before the type prefix and suffix are added.
+ * @param {{name:string,schema?:string}} s
+ * @param {TypeNameKind} kind
+ * @param {TypeOptions} options
+ * @param {boolean=} prefixSchema Defaults to prefixing the schema qualified names listed in the
+ *                                `schemaPrefixedNames` option
+ * @returns {string}
+ */
+const getTypeName=(s,kind,options,prefixSchema=options.schemaPrefixedNames?.has(toSqlQualifiedName(s.name,s.schema)))=>{
+    const naming=options.naming??{};
+    const sqlName=(naming.singularNames && (kind==='table' || kind==='view'))?singularize(s.name):s.name;
+    const name=(naming.typePrefix??'')+toTsName(prefixSchema?`${s.schema}_${sqlName}`:sqlName)+(naming.typeSuffix??'');
+    return naming.typeName?.(name,{sqlName:s.name,schema:s.schema,kind})||name;
+}
+
+/**
+ * Returns the property name of a column or relation
+ * @param {string} name
+ * @param {PropNameInfo} info
+ * @param {NamingOptions=} naming
+ * @returns {string}
+ */
+const getPropName=(name,info,naming)=>{
+    const prop=naming?.propCase==='camel'?toCamelCase(name):name;
+    return naming?.propName?.(prop,info)||prop;
+}
+
+/**
+ * Returns the name of the Zod schema of a type
+ * @param {string} typeName
+ * @param {NamingOptions=} naming
+ * @returns {string}
+ */
+const getZodName=(typeName,naming)=>naming?.zodName?.(typeName)||typeName+(naming?.zodSuffix??'Schema');
+
+/**
+ * Returns the name of the property of a column of a type
+ * @param {TypeDef|undefined} t
+ * @param {string} column
+ * @returns {string}
+ */
+const getColumnPropName=(t,column)=>t?.props.find(p=>p.sqlName===column)?.name??column;
+
+/**
+ * Converts a snake_case name to camelCase. Leading underscores are kept.
+ * @param {string} name
+ * @returns {string}
+ */
+const toCamelCase=(name)=>name.replace(/(?<=[^_])_+([a-zA-Z0-9])/g,(_,c)=>c.toUpperCase());
+
+/**
+ * Irregular plural words and their singular form
+ * @type {Record<string,string>}
+ */
+const irregularPlurals={
+    people:'person',
+    children:'child',
+    men:'man',
+    women:'woman',
+    mice:'mouse',
+    geese:'goose',
+    teeth:'tooth',
+    feet:'foot',
+    criteria:'criterion',
+    indices:'index',
+    vertices:'vertex',
+    matrices:'matrix',
+    movies:'movie',
+    cookies:'cookie',
+};
+
+/**
+ * Words that have the same singular and plural form
+ */
+const uncountableWords=['data','metadata','series','species','news','information','equipment','feedback'];
+
+/**
+ * Rules applied in order to convert plural words to their singular form
+ * @type {[RegExp,string][]}
+ */
+const singularRules=[
+    [/(alias|status|bus|campus|virus|bonus)es$/i,'$1'],
+    [/(x|ch|sh|ss|zz)es$/i,'$1'],
+    [/([^aeiouy]|qu)ies$/i,'$1y'],
+    [/(ss|us|is)$/i,'$1'],
+    [/s$/i,''],
+];
+
+/**
+ * Converts the last word of a snake_case name to its singular form, e.g. `account_members` ->
+ * `account_member`. Only common English plurals are converted.
+ * @param {string} name
+ * @returns {string}
+ */
+export const singularize=(name)=>{
+    const i=name.lastIndexOf('_')+1;
+    const word=name.substring(i);
+    const lower=word.toLowerCase();
+    if(uncountableWords.includes(lower)){
+        return name;
+    }
+    const irregular=irregularPlurals[lower];
+    if(irregular){
+        return name.substring(0,i)+irregular;
+    }
+    const rule=singularRules.find(([reg])=>reg.test(word));
+    return rule?name.substring(0,i)+word.replace(rule[0],rule[1]):name;
+}
+
+///// Schema Filters and Names
+
+ /**
+  * `bare` names types after their table or type only, `prefix` prefixes the names of all objects
+  * outside of the public schema with their schema and `auto` only prefixes names that would
+  * collide with the name of another object
+  * @typedef {'bare'|'prefix'|'auto'} SchemaNameMode
+  */
+
+/**
+ * Returns the name of an object qualified with its schema unless it is in the public schema,
+ * e.g. `auth.users`
+ * @param {string} name
+ * @param {string|null|undefined} schema
+ * @returns {string}
+ */
+export const toSqlQualifiedName=(name,schema)=>isSameSchema(schema,'public')?name:`${schema}.${name}`;
+
+/**
+ * Returns a copy of a schema model that only includes objects of included schemas and objects
+ * that are not in an excluded schema. Objects without a schema are in the public schema.
+ * @param {SchemaModel} model
+ * @param {string[]=} includeSchemas
+ * @param {string[]=} excludeSchemas
+ * @returns {SchemaModel}
+ */
+export const filterSchemaModel=(model,includeSchemas,excludeSchemas)=>{
+    if(!includeSchemas?.length && !excludeSchemas?.length){
+        return model;
+    }
+    /**
+     * @param {{schema?:string}} o
+     */
+    const isIncluded=(o)=>{
+        const schema=o.schema||'public';
+        return (
+            (!includeSchemas?.length || includeSchemas.includes(schema)) &&
+            !excludeSchemas?.includes(schema)
+        );
+    }
+    return {
+        tables:model.tables.filter(isIncluded),
+        views:model.views.filter(isIncluded),
+        composites:model.composites.filter(isIncluded),
+        enums:model.enums.filter(isIncluded),
+        domains:model.domains.filter(isIncluded),
+        functions:model.functions.filter(isIncluded),
+    };
+}
+
+/**
+ * @typedef SchemaNamedObject
+ * @prop {{name:string,schema?:string}} object
+ * @prop {TypeNameKind} kind
+ * @prop {string} label Describes the object in errors, e.g. `table auth.users`
+ */
+
+/**
+ * Returns the tables, views and types of a schema model that types are generated for
+ * @param {SchemaModel} model
+ * @returns {SchemaNamedObject[]}
+ */
+const getSchemaNamedObjects=(model)=>{
+    /**
+     * @param {{name:string,schema?:string}} object
+     * @param {TypeNameKind} kind
+     * @param {string} label
+     * @returns {SchemaNamedObject}
+     */
+    const toNamed=(object,kind,label)=>({object,kind,label:`${label} ${toSqlQualifiedName(object.name,object.schema)}`});
+    return [
+        ...model.enums.map(e=>toNamed(e,'enum','enum')),
+        ...model.domains.map(d=>toNamed(d,'domain','domain')),
+        ...model.composites.map(c=>toNamed(c,'composite','type')),
+        ...model.tables.map(t=>toNamed(t,'table','table')),
+        ...model.views.map(v=>toNamed(v,'view',v.viewType==='materialized'?'materialized view':'view')),
+    ];
+}
+
+/**
+ * Returns the schema qualified names of the objects whose generated names are prefixed with
+ * their schema
+ * @param {SchemaModel} model
+ * @param {SchemaNameMode} mode
+ * @param {TypeOptions} options
+ * @returns {Set<string>}
+ */
+const getSchemaPrefixedNames=(model,mode,options)=>{
+    const objects=getSchemaNamedObjects(model);
+    const outside=objects.filter(o=>!isSameSchema(o.object.schema,'public'));
+    /**
+     * @param {SchemaNamedObject} o
+     */
+    const getName=(o)=>getTypeName(o.object,o.kind,options,false);
+    if(mode==='auto'){
+        /** @type {Record<string,number>} */
+        const counts={};
+        for(const o of objects){
+            const name=getName(o);
+            counts[name]=(counts[name]??0)+1;
+        }
+        return new Set(outside.filter(o=>(counts[getName(o)]??0)>1).map(o=>toSqlQualifiedName(o.object.name,o.object.schema)));
+    }
+    return new Set(mode==='prefix'?outside.map(o=>toSqlQualifiedName(o.object.name,o.object.schema)):[]);
+}
+
+/**
+ * Adds the type mapping of an enum, domain or composite type to the type map using its schema
+ * qualified name. Types outside of the public schema are also mapped by their unqualified name
+ * if no other type uses the name.
+ * @param {Record<string,TypeMapping>} typeMap
+ * @param {{name:string,schema?:string}} s
+ * @param {TypeMapping} mapping
+ */
+const setNamedTypeMapping=(typeMap,s,mapping)=>{
+    typeMap[toSqlQualifiedName(s.name,s.schema)]=mapping;
+    if(!isSameSchema(s.schema,'public') && !typeMap[s.name]){
+        typeMap[s.name]=mapping;
+    }
+}
+
+/**
+ * Throws an error if multiple objects generate the same type name
+ * @param {SchemaModel} model
+ * @param {TypeOptions} options
+ * @param {string} insertSuffix
+ * @param {string} updateSuffix
+ */
+const assertUniqueTypeNames=(model,options,insertSuffix,updateSuffix)=>{
+    /** @type {Record<string,string[]>} */
+    const names={};
+    /**
+     * @param {string} name
+     * @param {string} label
+     */
+    const add=(name,label)=>{
+        (names[name]??(names[name]=[])).push(label);
+    }
+    for(const o of getSchemaNamedObjects(model)){
+        const name=getTypeName(o.object,o.kind,options);
+        add(name,o.label);
+        if(o.kind==='table'){
+            add(name+insertSuffix,`insert type of ${o.label}`);
+            add(name+updateSuffix,`update type of ${o.label}`);
+        }
+    }
+    const collisions=Object.entries(names).filter(([,objects])=>objects.length>1);
+    if(collisions.length){
+        throw new Error(
+            `Multiple objects generate the same type name, use --schema-names to prefix names with `+
+            `their schema or --exclude-schema to skip schemas - ${
+                collisions.map(([name,objects])=>`${name}: ${objects.join(', ')}`).join('; ')
+            }`
+        );
+    }
+}
+
+///// View Resolution
+
+ /**
+  * @typedef ResolvedColumn
+  * @prop {string} name
+  * @prop {Pg.TypeName=} typeName Undefined if the type of the column could not be resolved
+  * @prop {boolean} notNull
+  * @prop {number=} location
+  * @prop {Pg.Node=} target The select target the column was resolved from
+  * @prop {SchemaColumn=} source Table or view column the column selects without changing its type
+  */
+
+ /**
+  * @typedef ViewScopeItem
+  * @prop {string} alias
+  * @prop {ResolvedColumn[]|undefined} columns Undefined if the relation is not part of the model
+  */
+
+ /**
+  * @typedef ViewCte
+  * @prop {string} name
+  * @prop {ResolvedColumn[]} columns
+  */
+
+/**
+ * Resolves the columns returned by a select statement back to the tables and views of the model
+ * @param {SchemaModel} model
+ * @param {Pg.SelectStmt} select
+ * @param {ViewCte[]} ctes
+ * @returns {ResolvedColumn[]}
+ */
+export const resolveSelectColumns=(model,select,ctes)=>{
+
+    if(select.op && select.op!=='SETOP_NONE'){
+        // union, intersect and except use the columns of the first select
+        return select.larg?resolveSelectColumns(model,select.larg,ctes):[];
+    }
+
+    ctes=getViewCtes(model,select.withClause,ctes);
+
+    /** @type {ViewScopeItem[]} */
+    const scope=[];
+    for(const node of select.fromClause??[]){
+        addViewScopeItems(model,node,ctes,false,scope);
+    }
+
+    return resolveTargetList(select.targetList,scope);
+}
+
+/**
+ * Returns the given common table expressions with the expressions of a with clause added
+ * @param {SchemaModel} model
+ * @param {Pg.WithClause|undefined} withClause
+ * @param {ViewCte[]} ctes
+ * @returns {ViewCte[]}
+ */
+const getViewCtes=(model,withClause,ctes)=>{
+    ctes=[...ctes];
+    for(const node of withClause?.ctes??[]){
+        /** @type {Pg.CommonTableExpr|undefined} */
+        const cte=asAny(node)?.CommonTableExpr;
+        const query=asAny(cte?.ctequery)?.SelectStmt;
+        if(!cte?.ctename || !query){
+            continue;
+        }
+        const columns=resolveSelectColumns(model,query,ctes);
+        const aliases=getPgStrings(cte.aliascolnames);
+        ctes.push({name:cte.ctename,columns:columns.map((c,i)=>({...c,name:aliases[i]??c.name}))});
+    }
+    return ctes;
+}
+
+/**
+ * Resolves the columns of a select target list or returning list
+ * @param {Pg.Node[]|undefined} targetList
+ * @param {ViewScopeItem[]} scope
+ * @returns {ResolvedColumn[]}
+ */
+const resolveTargetList=(targetList,scope)=>{
+    /** @type {ResolvedColumn[]} */
+    const columns=[];
+    for(const node of targetList??[]){
+        /** @type {Pg.ResTarget|undefined} */
+        const target=asAny(node)?.ResTarget;
+        if(!target?.val){
+            continue;
+        }
+        /** @type {Pg.ColumnRef|undefined} */
+        const ref=asAny(target.val).ColumnRef;
+        if(ref?.fields?.some(f=>asAny(f).A_Star)){
+            const qualifier=getPgStrings(ref.fields).pop();
+            for(const item of scope){
+                if(qualifier && item.alias!==qualifier){
+                    continue;
+                }
+                for(const c of item.columns??[]){
+                    columns.push({...c,location:target.location,target:node});
+                }
+            }
+            continue;
+        }
+        const resolved=resolveExpression(target.val,scope);
+        columns.push({
+            ...resolved,
+            name:target.name??resolved.name,
+            location:target.location,
+            target:node,
+        });
+    }
+    return columns;
+}
+
+/**
+ * @param {SchemaModel} model
+ * @param {Pg.Node} node
+ * @param {ViewCte[]} ctes
+ * @param {boolean} nullable True if the relation is on the nullable side of an outer join
+ * @param {ViewScopeItem[]} scope
+ */
+const addViewScopeItems=(model,node,ctes,nullable,scope)=>{
+    const n=asAny(node);
+
+    if(n.RangeVar){
+        /** @type {Pg.RangeVar} */
+        const r=n.RangeVar;
+        if(!r.relname){
+            return;
+        }
+        const cte=r.schemaname?undefined:ctes.find(c=>c.name===r.relname);
+        const table=cte?undefined:(
+            findModelTable(model,r.relname,r.schemaname)??
+            findModelView(model,r.relname,r.schemaname)
+        );
+        const columns=cte?cte.columns:table?getResolvedTableColumns(table):undefined;
+        scope.push({
+            alias:r.alias?.aliasname??r.relname,
+            columns:columns?.map(c=>nullable?{...c,notNull:false}:c),
+        });
+    }else if(n.JoinExpr){
+        /** @type {Pg.JoinExpr} */
+        const j=n.JoinExpr;
+        const left=nullable || j.jointype==='JOIN_RIGHT' || j.jointype==='JOIN_FULL';
+        const right=nullable || j.jointype==='JOIN_LEFT' || j.jointype==='JOIN_FULL';
+        if(j.larg){
+            addViewScopeItems(model,j.larg,ctes,left,scope);
+        }
+        if(j.rarg){
+            addViewScopeItems(model,j.rarg,ctes,right,scope);
+        }
+    }else if(n.RangeSubselect){
+        /** @type {Pg.RangeSubselect} */
+        const r=n.RangeSubselect;
+        const query=asAny(r.subquery)?.SelectStmt;
+        if(!r.alias?.aliasname || !query){
+            return;
+        }
+        const aliases=getPgStrings(r.alias.colnames);
+        scope.push({
+            alias:r.alias.aliasname,
+            columns:resolveSelectColumns(model,query,ctes).map((c,i)=>({
+                ...c,
+                name:aliases[i]??c.name,
+                notNull:nullable?false:c.notNull,
+            })),
+        });
+    }
+}
+
+/**
+ * @param {SchemaTable} table
+ * @returns {ResolvedColumn[]}
+ */
+const getResolvedTableColumns=(table)=>{
+    /** @type {ResolvedColumn[]} */
+    const columns=[];
+    for(const col of table.columns){
+        const name=col.def.colname;
+        if(!name){
+            continue;
+        }
+        const constraints=getPgConstraints(col.def.constraints);
+        columns.push({
+            name,
+            typeName:col.def.typeName,
+            source:col,
+            notNull:(
+                constraints.some(c=>c.contype==='CONSTR_NOTNULL' || c.contype==='CONSTR_PRIMARY') ||
+                table.constraintList.some(c=>c.contype==='CONSTR_PRIMARY' && getPgStrings(c.keys).includes(name))
+            ),
+        });
+    }
+    return columns;
+}
+
+/**
+ * Resolves the name, type and nullability of a select expression. Column references, casts,
+ * constants and a small set of common functions are resolved.
+ * @param {Pg.Node} node
+ * @param {ViewScopeItem[]} scope
+ * @returns {ResolvedColumn}
+ */
+const resolveExpression=(node,scope)=>{
+    const n=asAny(node);
+
+    if(n.ColumnRef){
+        const fields=getPgStrings(n.ColumnRef.fields);
+        const name=fields[fields.length-1]??'?column?';
+        const qualifier=fields[fields.length-2];
+        for(const item of scope){
+            if(qualifier && item.alias!==qualifier){
+                continue;
+            }
+            const col=item.columns?.find(c=>c.name===name);
+            if(col){
+                return {name,typeName:col.typeName,notNull:col.notNull,source:col.source};
+            }
+        }
+        return {name,notNull:false};
+    }
+
+    if(n.TypeCast){
+        /** @type {Pg.TypeCast} */
+        const c=n.TypeCast;
+        const inner=c.arg?resolveExpression(c.arg,scope):undefined;
+        const name=(inner && inner.name!=='?column?')?inner.name:(getPgTypeName(c.typeName)??'?column?');
+        return {name,typeName:c.typeName,notNull:inner?.notNull??false};
+    }
+
+    if(n.A_Const){
+        /** @type {Pg.A_Const} */
+        const c=n.A_Const;
+        const type=(
+            c.isnull?undefined:
+            c.ival?'int4':
+            c.fval?'numeric':
+            c.boolval?'bool':
+            c.sval?'text':
+            c.bsval?'bit':
+            undefined
+        );
+        return {name:'?column?',typeName:type?createPgTypeName(type):undefined,notNull:!c.isnull};
+    }
+
+    if(n.FuncCall){
+        /** @type {Pg.FuncCall} */
+        const f=n.FuncCall;
+        const name=getLastPgString(f.funcname)??'?column?';
+        const fn=expressionFunctionTypes[name.toLowerCase()];
+        if(fn==='arg'){
+            const arg=f.args?.[0]?resolveExpression(f.args[0],scope):undefined;
+            return {name,typeName:arg?.typeName,notNull:false};
+        }
+        if(fn){
+            return {name,typeName:createPgTypeName(fn.type),notNull:fn.notNull};
+        }
+        return {name,notNull:false};
+    }
+
+    if(n.CoalesceExpr){
+        const args=(n.CoalesceExpr.args??[]).map(a=>resolveExpression(a,scope));
+        return {
+            name:'coalesce',
+            typeName:args.find(a=>a.typeName)?.typeName,
+            notNull:args.some(a=>a.notNull),
+        };
+    }
+
+    return {name:'?column?',notNull:false};
+}
+
+/**
+ * Return types of common functions. Functions mapped to "arg" return the type of their first argument.
+ * @type {Record<string,{type:string,notNull:boolean}|'arg'>}
+ */
+const expressionFunctionTypes={
+    count:{type:'int8',notNull:true},
+    now:{type:'timestamptz',notNull:true},
+    gen_random_uuid:{type:'uuid',notNull:true},
+    lower:{type:'text',notNull:false},
+    upper:{type:'text',notNull:false},
+    trim:{type:'text',notNull:false},
+    concat:{type:'text',notNull:true},
+    length:{type:'int4',notNull:false},
+    avg:{type:'numeric',notNull:false},
+    bool_and:{type:'bool',notNull:false},
+    bool_or:{type:'bool',notNull:false},
+    json_agg:{type:'json',notNull:false},
+    jsonb_agg:{type:'jsonb',notNull:false},
+    json_build_object:{type:'json',notNull:true},
+    jsonb_build_object:{type:'jsonb',notNull:true},
+    min:'arg',
+    max:'arg',
+}
+
+/**
+ * @param {string} name
+ * @returns {Pg.TypeName}
+ */
+const createPgTypeName=(name)=>({names:[{String:{sval:name}}]});
+
+///// Watch Mode
+
+ /**
+  * @typedef WatchTarget
+  * @prop {string} dir
+  * @prop {boolean} recursive
+  */
+
+/**
+ * Delay in milliseconds to wait for more changes before regenerating outputs
+ */
+const watchDebounceMs=100;
+
+/**
+ * Watches the SQL, type map and config files used as inputs and calls the callback when inputs
+ * change. Directories of inputs are watched so that new files matching SQL directories and glob
+ * patterns are picked up. Changes are debounced and changes made while the callback is running
+ * cause the callback to run again once it completes.
+ * @param {Args[]} argsAry
+ * @param {(configChanged:boolean)=>Promise<void>} onChange Called with true if the config file
+ *                                                          changed since the last call
+ * @param {string=} configPath Path of the config file
+ * @returns {()=>void} A function that stops watching
+ */
+export const watchInputs=(argsAry,onChange,configPath)=>{
+
+    /** @type {WatchTarget[]} */
+    const targets=[];
+    /** @type {string[]} */
+    const watchedFiles=[];
+    /**
+     * @param {string} dir
+     * @param {boolean} recursive
+     */
+    const addTarget=(dir,recursive)=>{
+        dir=Path.resolve(dir);
+        const existing=targets.find(t=>t.dir===dir);
+        if(existing){
+            existing.recursive||=recursive;
+        }else{
+            targets.push({dir,recursive});
+        }
+    }
+
+    for(const args of argsAry){
+        for(const dir of args.sqlDirAry??[]){
+            addTarget(dir,false);
+        }
+        for(const file of [...(args.sqlFileAry??[]),...(args.queriesAry??[])]){
+            if(isGlob(file)){
+                const glob=getGlobBase(file);
+                addTarget(glob.base,glob.recursive);
+            }else{
+                addTarget(Path.dirname(file),false);
+            }
+        }
+        for(const file of args.typeMapFileAry??[]){
+            watchedFiles.push(Path.resolve(file));
+            addTarget(Path.dirname(file),false);
+        }
+    }
+    if(configPath){
+        configPath=Path.resolve(configPath);
+        watchedFiles.push(configPath);
+        addTarget(Path.dirname(configPath),false);
+    }
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    let timeout=undefined;
+    let running=false;
+    let pending=false;
+    let configChanged=false;
+
+    const runAsync=async ()=>{
+        if(running){
+            pending=true;
+            return;
+        }
+        running=true;
+        try{
+            do{
+                pending=false;
+                const changed=configChanged;
+                configChanged=false;
+                await onChange(changed);
+            }while(pending);
+        }finally{
+            running=false;
+        }
+    }
+
+    /** @type {import('node:fs').FSWatcher[]} */
+    const watchers=[];
+    for(const target of targets){
+        try{
+            watchers.push(watch(target.dir,{recursive:target.recursive},(_event,filename)=>{
+                if(!filename){
+                    return;
+                }
+                const path=Path.join(target.dir,filename.toString());
+                if(path===configPath){
+                    configChanged=true;
+                }else if(!path.toLowerCase().endsWith('.sql') && !watchedFiles.includes(path)){
+                    return;
+                }
+                clearTimeout(timeout);
+                timeout=setTimeout(()=>{
+                    print(`Change detected ${path}`);
+                    runAsync();
+                },watchDebounceMs);
+            }));
+        }catch(ex){
+            console.error(`Unable to watch ${target.dir}`,asAny(ex)?.message??ex);
+        }
+    }
+
+    print(`Watching ${targets.map(t=>t.dir).join(', ')}`);
+
+    return ()=>{
+        clearTimeout(timeout);
+        for(const watcher of watchers){
+            watcher.close();
+        }
+    }
+}
+
+///// Diff
+
+ /**
+  * @typedef DiffOp
+  * @prop {' '|'-'|'+'} type
+  * @prop {string} line
+  */
+
+/**
+ * Max number of edits searched for when diffing. Larger differences are shown as replacing all
+ * changed lines.
+ */
+const maxDiffEdits=2000;
+
+/**
+ * Creates a unified diff between the current content of a file and its expected content
+ * @param {string} path
+ * @param {string|undefined} current Current content. Undefined if the file does not exist
+ * @param {string} expected
+ * @param {number} context Number of unchanged lines to show around changes
+ * @returns {string}
+ */
+export const createUnifiedDiff=(path,current,expected,context=3)=>{
+    // lines include their line break so that a missing line break at the end of a file is a change
+    const a=current?.match(lineReg)??[];
+    const b=expected.match(lineReg)??[];
+    const ops=diffLines(a,b);
+
+    const out=[`--- ${current===undefined?'/dev/null':'a/'+path}`,`+++ b/${path}`];
+
+    let i=0;
+    while(i<ops.length){
+        if(ops[i]?.type===' '){
+            i++;
+            continue;
+        }
+        // find the end of the hunk, merging changes separated by less than 2*context lines
+        const start=Math.max(0,i-context);
+        let end=i;
+        let last=i;
+        while(end<ops.length){
+            if(ops[end]?.type!==' '){
+                last=end;
+            }else if(end-last>context*2){
+                break;
+            }
+            end++;
+        }
+        end=Math.min(ops.length,last+context+1);
+
+        let aStart=0;
+        let bStart=0;
+        for(let n=0;n<start;n++){
+            if(ops[n]?.type!=='+'){aStart++}
+            if(ops[n]?.type!=='-'){bStart++}
+        }
+        const hunk=ops.slice(start,end);
+        const aLen=hunk.filter(o=>o.type!=='+').length;
+        const bLen=hunk.filter(o=>o.type!=='-').length;
+        out.push(`@@ -${aLen?aStart+1:aStart},${aLen} +${bLen?bStart+1:bStart},${bLen} @@`);
+        for(const o of hunk){
+            if(o.line.endsWith('\n')){
+                out.push(o.type+o.line.substring(0,o.line.length-1));
+            }else{
+                out.push(o.type+o.line,'\\ No newline at end of file');
+            }
+        }
+        i=end;
+    }
+
+    return out.join('\n');
+}
+
+const lineReg=/[^\n]*\n|[^\n]+$/g;
+
+/**
+ * Diffs two arrays of lines using the Myers diff algorithm
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {DiffOp[]}
+ */
+const diffLines=(a,b)=>{
+    // common prefix and suffix are trimmed to reduce the search space
+    let prefix=0;
+    while(prefix<a.length && prefix<b.length && a[prefix]===b[prefix]){
+        prefix++;
+    }
+    let suffix=0;
+    while(
+        suffix<a.length-prefix &&
+        suffix<b.length-prefix &&
+        a[a.length-1-suffix]===b[b.length-1-suffix]
+    ){
+        suffix++;
+    }
+    const am=a.slice(prefix,a.length-suffix);
+    const bm=b.slice(prefix,b.length-suffix);
+
+    /** @type {DiffOp[]} */
+    const ops=[];
+    for(let i=0;i<prefix;i++){
+        ops.push({type:' ',line:a[i]??''});
+    }
+    ops.push(...diffMiddle(am,bm));
+    for(let i=a.length-suffix;i<a.length;i++){
+        ops.push({type:' ',line:a[i]??''});
+    }
+    return ops;
+}
+
+/**
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {DiffOp[]}
+ */
+const diffMiddle=(a,b)=>{
+    const n=a.length;
+    const m=b.length;
+    const max=Math.min(n+m,maxDiffEdits);
+    const offset=max+1;
+    let v=new Int32Array(2*max+3);
+    /** @type {Int32Array[]} */
+    const trace=[];
+
+    for(let d=0;d<=max;d++){
+        trace.push(v.slice());
+        for(let k=-d;k<=d;k+=2){
+            let x=(k===-d || (k!==d && (v[k-1+offset]??0)<(v[k+1+offset]??0)))?
+                (v[k+1+offset]??0)
+            :
+                (v[k-1+offset]??0)+1;
+            let y=x-k;
+            while(x<n && y<m && a[x]===b[y]){
+                x++;
+                y++;
+            }
+            v[k+offset]=x;
+            if(x>=n && y>=m){
+                return backtrackDiff(trace,a,b,offset);
+            }
+        }
+    }
+
+    // too many edits, show all lines as replaced
+    return [
+        ...a.map(line=>({type:/** @type {'-'} */('-'),line})),
+        ...b.map(line=>({type:/** @type {'+'} */('+'),line})),
+    ];
+}
+
+/**
+ * @param {Int32Array[]} trace
+ * @param {string[]} a
+ * @param {string[]} b
+ * @param {number} offset
+ * @returns {DiffOp[]}
+ */
+const backtrackDiff=(trace,a,b,offset)=>{
+    /** @type {DiffOp[]} */
+    const ops=[];
+    let x=a.length;
+    let y=b.length;
+    for(let d=trace.length-1;d>0;d--){
+        const v=trace[d];
+        if(!v){
+            break;
+        }
+        const k=x-y;
+        const prevK=(k===-d || (k!==d && (v[k-1+offset]??0)<(v[k+1+offset]??0)))?k+1:k-1;
+        const prevX=v[prevK+offset]??0;
+        const prevY=prevX-prevK;
+        while(x>prevX && y>prevY){
+            ops.push({type:' ',line:a[x-1]??''});
+            x--;
+            y--;
+        }
+        if(x===prevX){
+            ops.push({type:'+',line:b[y-1]??''});
+            y--;
+        }else{
+            ops.push({type:'-',line:a[x-1]??''});
+            x--;
+        }
+    }
+    while(x>0 && y>0){
+        ops.push({type:' ',line:a[x-1]??''});
+        x--;
+        y--;
+    }
+    return ops.reverse();
+}
+
+///// Config Files
+
+ /**
+  * Options of a config file or profile. Keys are the names of command line arguments in camelCase,
+  * for example `sqlFile` for `--sql-file`. Values can be strings, booleans, numbers or arrays for
+  * arguments that can be specified multiple times.
+  * @typedef {{[name:string]:any,typeMap?:Record<string,Partial<TypeMapping>>}} ConfigOptions
+  */
+
+ /**
+  * @typedef {ConfigOptions & {profiles?:Record<string,ConfigOptions>}} Config
+  */
+
+ /**
+  * Naming functions defined by JavaScript config files
+  * @typedef ConfigNamingFunctions
+  * @prop {NamingOptions['typeName']=} typeName
+  * @prop {NamingOptions['propName']=} propName
+  * @prop {NamingOptions['zodName']=} zodName
+  */
+
+/**
+ * Names of config files searched for in the working directory in order of priority
+ */
+export const configFileNames=[
+    'pg-schema-gen.config.json',
+    'pg-schema-gen.config.js',
+    'pg-schema-gen.config.mjs',
+];
+
+/**
+ * Returns the path of the config file to use. If no path is given the working directory is searched
+ * for a config file.
+ * @param {string=} path
+ * @returns {Promise<string|undefined>}
+ */
+export const findConfigPathAsync=async (path)=>{
+    if(path){
+        return path;
+    }
+    for(const name of configFileNames){
+        if(await existsAsync(name)){
+            return name;
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Loads a config file. If no path is given the working directory is searched for a config file.
+ * JavaScript config files export the config as their default export or export a function that
+ * returns the config.
+ * @param {string=} path
+ * @param {boolean=} reload Imports JavaScript config files again instead of using the cached module
+ * @returns {Promise<Config|undefined>}
+ */
+export const loadConfigAsync=async (path,reload=false)=>{
+    path=await findConfigPathAsync(path);
+    if(!path){
+        return undefined;
+    }
+    /** @type {any} */
+    let config;
+    if(path.endsWith('.json')){
+        config=await readJsonAsync(path);
+    }else{
+        const url=pathToFileURL(Path.resolve(path)).href;
+        const mod=await import(reload?`${url}?t=${Date.now()}`:url);
+        config=mod.default??mod.config;
+        if(typeof config === 'function'){
+            config=await config();
+        }
+    }
+    if(!config || (typeof config !== 'object')){
+        throw new Error(`config file should contain an object - ${path}`);
+    }
+    return config;
+}
+
+/**
+ * Converts the options of a config file or profile to arguments
+ * @param {ConfigOptions} options
+ * @returns {Args}
+ */
+export const configToArgs=(options)=>{
+    /** @type {Record<string,string|string[]>} */
+    const args={};
+    for(const key in options){
+        if(key==='typeMap' || key==='profiles'){
+            continue;
+        }
+        const value=options[key];
+        if(typeof value === 'function'){
+            // naming functions are passed to generate directly
+            continue;
+        }
+        if(value===undefined || value===null || (Array.isArray(value) && !value.length)){
+            continue;
+        }
+        const name=key.replace(/-(\w)/g,(_,c)=>c.toUpperCase());
+        const values=(Array.isArray(value)?value:[value]).map(v=>String(v));
+        args[name]=values[0]??'';
+        args[name+'Ary']=values;
+    }
+    return args;
+}
+
+/**
+ * Returns the naming functions of a config file or profile
+ * @param {ConfigOptions} options
+ * @returns {ConfigNamingFunctions}
+ */
+export const getConfigNamingFunctions=(options)=>{
+    /** @type {ConfigNamingFunctions} */
+    const naming={};
+    for(const key of /** @type {const} */(['typeName','propName','zodName'])){
+        const value=options[key];
+        if(value===undefined){
+            continue;
+        }
+        if(typeof value !== 'function'){
+            throw new Error(`config option ${key} should be a function`);
+        }
+        naming[key]=value;
+    }
+    return naming;
+}
+
+///// SQL Sources
+
+ /**
+  * @typedef SqlSource
+  * @prop {string} path Path of the file the SQL was loaded from or "--sql" for inline statements
+  * @prop {number} start Index of the first character of the source within the combined SQL
+  * @prop {number} end Index after the last character of the source within the combined SQL
+  */
+
+ /**
+  * @typedef SqlSourceLocation
+  * @prop {string} path
+  * @prop {number} line 1 based line number relative to the source
+  * @prop {number} column 1 based column number
+  */
 
+/**
+ * Returns the ordered list of SQL files to load. Files in directories and files matched by glob
+ * patterns are sorted by their timestamp or numeric prefix. Explicitly listed files keep their
+ * order and directories are loaded before files.
+ * @param {string[]|undefined} dirs
+ * @param {string[]|undefined} files
+ * @returns {Promise<string[]>}
+ */
+export const getSqlFilePathsAsync=async (dirs,files)=>{
+    /** @type {string[]} */
+    const paths=[];
+
+    if(dirs){
+        for(const dir of dirs){
+            const dirFiles=(await fs.readdir(dir,{withFileTypes:true}))
+                .filter(f=>f.isFile() && f.name.toLowerCase().endsWith('.sql'))
+                .map(f=>Path.join(dir,f.name));
+            if(!dirFiles.length){
+                print(`No SQL files found in ${dir}`);
+            }
+            paths.push(...dirFiles.sort(compareMigrationPaths));
+        }
+    }
 
-        const convoTypeOverride=metadata?.metadata.find(m=>m.tag==='type' && m.type==='convo')??metadata?.metadata.find(m=>m.tag==='type' && m.type===undefined);
-        let convoProp=`${indent}${prop}${optional?'?':''}: ${convoTypeOverride?.value??mt.convo??mt.name}`;
-        for(let a=0;a<arrayDepth;a++){
-            convoProp=`array(${convoProp})`
+    if(files){
+        for(const file of files){
+            if(!isGlob(file)){
+                paths.push(file);
+                continue;
+            }
+            const matches=await globAsync(file);
+            if(!matches.length){
+                print(`No files matched ${file}`);
+            }
+            paths.push(...matches.sort(compareMigrationPaths));
         }
-        convoType.src.push(convoProp+'\n');
+    }
 
+    return paths.filter((p,i)=>paths.indexOf(p)===i);
+}
 
-        const zodTypeOverride=metadata?.metadata.find(m=>m.tag==='type' && m.type==='zod')??metadata?.metadata.find(m=>m.tag==='type' && m.type===undefined);
-        let zodProp=zodTypeOverride?.value??mt.zod??('z.'+mt.name+'()');
-        if(arrayDepth){
-            zodProp+='.array()'.repeat(arrayDepth);
-        }
-        if(optional){
-            zodProp+='.optional()';
-        }
-        if(description){
-            zodProp+=`.describe(${JSON.stringify(description)})`;
+/**
+ * Compares file paths by the timestamp or numeric prefix of their file names. Files without a
+ * numeric prefix are sorted after files with one.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+export const compareMigrationPaths=(a,b)=>{
+    const an=Path.basename(a);
+    const bn=Path.basename(b);
+    const ap=migrationPrefixReg.exec(an)?.[1];
+    const bp=migrationPrefixReg.exec(bn)?.[1];
+    if(ap!==undefined && bp!==undefined){
+        const av=BigInt(ap);
+        const bv=BigInt(bp);
+        if(av!==bv){
+            return av<bv?-1:1;
         }
-        zodType.src.push(`${indent}${prop}:${zodProp},\n`);
+    }else if(ap!==undefined){
+        return -1;
+    }else if(bp!==undefined){
+        return 1;
+    }
+    return an.localeCompare(bn) || a.localeCompare(b);
+}
 
-        const next=getPgColumnDef(s.tableElts[ti+1])??getPgConstraint(s.tableElts[ti+1]);
+const migrationPrefixReg=/^[vV]?(\d+)/;
 
-        typeDef.props.push({
-            name:prop,
-            type:{
-                ...mt,
-                ts:mt.ts??mt.name,
-                sql:sqlType,
-            },
-            primary:isPrimary?true:undefined,
-            description:description||undefined,
-            sqlDef:c.location?removeTrailingComma(removeSqlComments(sql.substring(c.location,(
-                next?.location??s.endLocation
-            )))):undefined,
-            optional:optional||undefined,
-            hasDefault:hasDefault||undefined,
-            isArray:arrayDepth?true:undefined,
-            arrayDimensions:arrayDepth||undefined,
+/**
+ * @param {string} path
+ * @returns {boolean}
+ */
+const isGlob=(path)=>/[*?]/.test(path);
 
-        })
+/**
+ * Returns all files matching a glob pattern. Supports `*`, `?` and `**`.
+ * @param {string} pattern
+ * @returns {Promise<string[]>}
+ */
+export const globAsync=async (pattern)=>{
+    const {base,rest,recursive}=getGlobBase(pattern);
+    const reg=globToRegExp(rest);
+
+    if(!await existsAsync(base)){
+        return [];
     }
 
+    const entries=await fs.readdir(base,{withFileTypes:true,recursive});
+    /** @type {string[]} */
+    const matches=[];
+    for(const e of entries){
+        if(!e.isFile()){
+            continue;
+        }
+        const full=Path.join(e.parentPath??asAny(e).path,e.name);
+        const rel=Path.relative(base,full).replace(/\\/g,'/');
+        if(reg.test(rel)){
+            matches.push(Path.join(base,rel));
+        }
+    }
+    return matches;
+}
 
-    tsType.src.push('}');
-    zodType.src.push(`})${typeDescription?`.describe(${JSON.stringify(typeDescription)})`:''};`);
-    convoType.src.push(')')
+/**
+ * Splits a glob pattern into the directory before the first glob segment and the rest of the
+ * pattern
+ * @param {string} pattern
+ * @returns {{base:string,rest:string,recursive:boolean}}
+ */
+const getGlobBase=(pattern)=>{
+    const parts=pattern.replace(/\\/g,'/').split('/');
+    const globIndex=parts.findIndex(isGlob);
+    const base=parts.slice(0,globIndex).join('/')||(pattern.startsWith('/')?'/':'.');
+    const rest=parts.slice(globIndex).join('/');
+    const recursive=rest.includes('**') || parts.length-globIndex>1;
+    return {base,rest,recursive};
+}
 
-    tsTypes.push(tsType);
-    zodTypes.push(zodType);
-    convoTypes.push(convoType);
+/**
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+const globToRegExp=(pattern)=>{
+    let reg='';
+    for(let i=0;i<pattern.length;i++){
+        const ch=pattern[i];
+        if(ch==='*' && pattern[i+1]==='*'){
+            if(pattern[i+2]==='/'){
+                reg+='(?:.*/)?';
+                i+=2;
+            }else{
+                reg+='.*';
+                i++;
+            }
+        }else if(ch==='*'){
+            reg+='[^/]*';
+        }else if(ch==='?'){
+            reg+='[^/]';
+        }else{
+            reg+=ch.replace(/[.+^${}()|[\]\\]/g,'\\$&');
+        }
+    }
+    return new RegExp(`^${reg}$`);
+}
 
-    typeDef.primaryKey=typeDef.props.find(p=>p.primary)?.name;
-    if(!forOp){
-        typeDefs.push(typeDef);
+/**
+ * Maps an index within the combined SQL to the source it was loaded from
+ * @param {SqlSource[]} sources
+ * @param {string} sql
+ * @param {number} index
+ * @returns {SqlSourceLocation|undefined}
+ */
+export const getSqlSourceLocation=(sources,sql,index)=>{
+    const source=sources.find(s=>index>=s.start && index<=s.end);
+    if(!source){
+        return undefined;
+    }
+    const before=sql.substring(source.start,index);
+    const lineStart=before.lastIndexOf('\n');
+    return {
+        path:source.path,
+        line:before.split('\n').length,
+        column:index-source.start-lineStart,
     }
 }
+
 /**
- * @param {SrcType[]} types
+ * Formats an index within the combined SQL as `path:line:column`
+ * @param {SqlSource[]|undefined} sources
+ * @param {string} sql
+ * @param {number} index
  * @returns {string}
  */
-const typesToString=(types)=>{
-    types.sort((a,b)=>srcTypeOrderName(a).localeCompare(srcTypeOrderName(b)));
-    return types.map(t=>t.src.join('')).join('\n\n');
+export const formatSqlSourceLocation=(sources,sql,index)=>{
+    const loc=sources?getSqlSourceLocation(sources,sql,index):undefined;
+    if(!loc){
+        return `index ${index}`;
+    }
+    return `${loc.path}:${loc.line}:${loc.column}`;
 }
 
 /**
- * @param {SrcType} type
+ * Creates an error for a parse error that includes the source location and a code frame of the
+ * SQL that caused the error
+ * @param {any} ex Error thrown by the parser
+ * @param {SqlSource[]} sources
+ * @param {string} sql
+ * @param {number} offset Index of the parsed SQL within the combined SQL
+ * @returns {Error}
  */
-const srcTypeOrderName=(type)=>`${type.order.toString().padStart(3,'0')}_${type.baseName}`;
+export const createSqlParseError=(ex,sources,sql,offset)=>{
+    const pos=asAny(ex)?.sqlDetails?.cursorPosition;
+    if(typeof pos !== 'number'){
+        return ex instanceof Error?ex:new Error(String(ex));
+    }
+    const index=offset+pos;
+    const frame=createSqlCodeFrame(sources,sql,index);
+    const err=new Error(`${asAny(ex).message} - ${formatSqlSourceLocation(sources,sql,index)}${frame?'\n'+frame:''}`);
+    err.cause=ex;
+    return err;
+}
 
 /**
- * @param {PgCreateEnum} s
+ * Creates a code frame of the lines around an index within the combined SQL with a marker
+ * pointing to the column of the index
+ * @param {SqlSource[]} sources
  * @param {string} sql
- * @param {Record<string,TypeMapping>} typeMap
- * @param {TypeDef[]} typeDefs
- * @param {SrcType[]} tsTypes
- * @param {SrcType[]} zodTypes
- * @param {SrcType[]} convoTypes
+ * @param {number} index
+ * @param {number} context Number of lines to show before and after the line of the index
+ * @returns {string|undefined}
  */
-const createEnum=(
-    s,
-    sql,
-    typeMap,
-    typeDefs,
-    tsTypes,
-    zodTypes,
-    convoTypes
-)=>{
-    const sqlName=s.name;
-    const name=toTsName(sqlName);
-
-    typeMap[sqlName]={
-        name:name,
-        zod:`${name}Schema`
-    };
-
-    const typeDescription=s.location?findComment(sql,s.location,true):undefined;
-
-    /** @type {TypeDef} */
-    const typeDef={name,type:'enum',description:typeDescription,props:[]};
-    /** @type {SrcType} */
-    const tsType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
-    /** @type {SrcType} */
-    const zodType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
-    /** @type {SrcType} */
-    const convoType={name,baseName:name,src:[],type:'enum',order:1,props:[]};
-
-
-    if(typeDescription){
-        tsType.src.push(`/**\n`);
-        tsType.src.push(`${toJsDoc(typeDescription,'',true)}\n`);
-        tsType.src.push(' */\n');
-
-        convoType.src.push(`${toConvoComment(typeDescription,'')}\n`);
+export const createSqlCodeFrame=(sources,sql,index,context=2)=>{
+    const source=sources.find(s=>index>=s.start && index<=s.end);
+    const loc=getSqlSourceLocation(sources,sql,index);
+    if(!source || !loc){
+        return undefined;
     }
-    zodType.src.push(`/**\n`);
-    if(typeDescription){
-        zodType.src.push(`${toJsDoc(typeDescription,'',true)}\n`);
+    const lines=sql.substring(source.start,source.end).split('\n');
+    const first=Math.max(1,loc.line-context);
+    const last=Math.min(lines.length,loc.line+context);
+    const width=String(last).length;
+    const out=[];
+    for(let n=first;n<=last;n++){
+        const line=(lines[n-1]??'').replace(/\t/g,' ');
+        out.push(`${n===loc.line?'>':' '} ${String(n).padStart(width)} | ${line}`);
+        if(n===loc.line){
+            out.push(`  ${' '.repeat(width)} | ${' '.repeat(Math.max(0,loc.column-1))}^`);
+        }
     }
-    zodType.src.push(` * Zod schema for the "${name}" union\n`);
-    zodType.src.push(' */\n');
-    
-    tsType.src.push(`export type ${name}=`);
-    zodType.src.push(`export const ${name}Schema=z.enum([`);
-    convoType.src.push(`${name} = enum(`);
-
-
-    const values=getPgStrings(s.vals).map(s=>JSON.stringify(s));
+    return out.join('\n');
+}
 
-    tsType.src.push(values.join('|'));
-    zodType.src.push(values.join(','));
-    convoType.src.push(values.join(' '));
+/**
+ * Parses SQL one statement at a time. Statements that fail to parse are reported and skipped.
+ * Locations within parsed statements are offset to match the combined SQL.
+ * @param {string} sql
+ * @param {SqlSource[]} sources
+ * @returns {Promise<import('@pgsql/types').ParseResult>}
+ */
+export const parseSqlStatementsAsync=async (sql,sources)=>{
+    /** @type {import('@pgsql/types').ParseResult} */
+    const result={stmts:[]};
+    let errors=0;
+    for(const range of splitSqlStatements(sql)){
+        const text=sql.substring(range.start,range.end);
+        try{
+            const parsed=await parse(text);
+            result.version??=parsed.version;
+            for(const st of parsed.stmts??[]){
+                offsetPgLocations(st.stmt,range.start);
+                st.stmt_location=(st.stmt_location??0)+range.start;
+                result.stmts?.push(st);
+            }
+        }catch(ex){
+            errors++;
+            console.error(createSqlParseError(ex,sources,sql,range.start).message);
+        }
+    }
+    if(errors){
+        warn(`${errors} statement${errors===1?' was':'s were'} skipped due to parse errors`);
+    }
+    return result;
+}
 
+/**
+ * Splits SQL into statements separated by semicolons. Semicolons within strings, quoted
+ * identifiers, dollar quoted strings and comments are ignored.
+ * @param {string} sql
+ * @returns {{start:number,end:number}[]} Ranges of statements excluding the semicolon
+ */
+export const splitSqlStatements=(sql)=>{
+    /** @type {{start:number,end:number}[]} */
+    const ranges=[];
+    const n=sql.length;
+    let start=0;
+    let i=0;
+    while(i<n){
+        const ch=sql[i];
+        if(ch==='-' && sql[i+1]==='-'){
+            const end=sql.indexOf('\n',i);
+            i=end===-1?n:end+1;
+            continue;
+        }
+        if(ch==='/' && sql[i+1]==='*'){
+            let depth=1;
+            i+=2;
+            while(i<n && depth){
+                if(sql[i]==='/' && sql[i+1]==='*'){
+                    depth++;
+                    i+=2;
+                }else if(sql[i]==='*' && sql[i+1]==='/'){
+                    depth--;
+                    i+=2;
+                }else{
+                    i++;
+                }
+            }
+            continue;
+        }
+        if(ch==="'" || ch==='"'){
+            // E'' strings allow backslash escapes
+            const backslash=ch==="'" && /[eE]/.test(sql[i-1]??'') && !/\w/.test(sql[i-2]??'');
+            i++;
+            while(i<n){
+                if(backslash && sql[i]==='\\'){
+                    i+=2;
+                    continue;
+                }
+                if(sql[i]===ch){
+                    if(sql[i+1]===ch){
+                        i+=2;
+                        continue;
+                    }
+                    break;
+                }
+                i++;
+            }
+            i++;
+            continue;
+        }
+        if(ch==='$' && !/[\w$]/.test(sql[i-1]??'')){
+            const tag=dollarQuoteReg.exec(sql.substring(i,i+64))?.[0];
+            if(tag){
+                const end=sql.indexOf(tag,i+tag.length);
+                i=end===-1?n:end+tag.length;
+                continue;
+            }
+        }
+        if(ch===';'){
+            ranges.push({start,end:i});
+            start=i+1;
+        }
+        i++;
+    }
+    if(sql.substring(start).trim()){
+        ranges.push({start,end:n});
+    }
+    return ranges;
+}
 
-    tsType.src.push(';');
-    zodType.src.push(`])${typeDescription?`.describe(${JSON.stringify(typeDescription)})`:''};`);
-    convoType.src.push(')')
+const dollarQuoteReg=/^\$(?:[A-Za-z_]\w*)?\$/;
 
-    tsTypes.push(tsType);
-    zodTypes.push(zodType);
-    convoTypes.push(convoType);
-    typeDefs.push(typeDef);
+/**
+ * Adds an offset to all location properties of a node and its descendants
+ * @param {any} node
+ * @param {number} offset
+ */
+const offsetPgLocations=(node,offset)=>{
+    if(!node || typeof node !== 'object'){
+        return;
+    }
+    for(const key in node){
+        const value=node[key];
+        if(key==='location' && typeof value === 'number'){
+            if(value>=0){
+                node[key]=value+offset;
+            }
+        }else if(value && typeof value === 'object'){
+            offsetPgLocations(value,offset);
+        }
+    }
 }
 
 /////////// Utils
@@ -843,6 +8399,18 @@ export const print=(...args)=>{
     }
 }
 
+export const warn=(...args)=>{
+    if(!silent()){
+        console.warn(...args);
+    }
+}
+
+export const warnVerbose=(...args)=>{
+    if(verbose() && !silent()){
+        console.warn(...args);
+    }
+}
+
 /**
  * 
  * @param {string} path 
@@ -861,11 +8429,24 @@ export const existsAsync=async (path)=>{
  * @param {string[]} paths 
  * @param {string} content 
  * @param {string=} head 
+ * @param {boolean=} onlyChanged Skips writing files that already contain the content
  */
-export const writeAryAsync=async (paths,content,head)=>{
+export const writeAryAsync=async (paths,content,head,onlyChanged)=>{
     if(head){
         content=head+content;
     }
+    if(onlyChanged){
+        const changed=[];
+        for(const path of paths){
+            if(!await existsAsync(path) || (await fs.readFile(path)).toString()!==content){
+                changed.push(path);
+            }
+        }
+        if(!changed.length){
+            return;
+        }
+        paths=changed;
+    }
     print(`Write ${paths.join(', ')}`);
     await Promise.all(paths.map(async path=>{
         const dir=Path.dirname(path);
@@ -905,6 +8486,26 @@ export const readJsonAsync=async (path)=>{
     }
 }
 
+/**
+ * Returns the value of an argument that accepts a fixed set of modes. The first mode is returned
+ * when the argument is not defined.
+ * @template {string} T
+ * @param {string} name Name of the argument used in error messages
+ * @param {string|undefined} value
+ * @param {...T} modes
+ * @returns {T}
+ */
+export const getModeArg=(name,value,...modes)=>{
+    if(value===undefined){
+        return /** @type {T} */(modes[0]);
+    }
+    const mode=modes.find(m=>m===value);
+    if(!mode){
+        throw new Error(`Invalid --${name} value "${value}". Expected ${modes.join(', ')}`);
+    }
+    return mode;
+}
+
 /**
  * @returns {Record<string,string|string[]>}
  */
@@ -1022,6 +8623,110 @@ export const parseComment=(sql,statementStart,forward,onlyTake,ignore=['source']
     return {comment,metadata}
 }
 
+/**
+ * Parses metadata tags anywhere within text, such as the text of a `COMMENT ON` statement, and
+ * removes the tags from the comment. Braces within tag values are balanced so values can contain
+ * object types, e.g. `{@type:ts {a:number}}`.
+ * @param {string} text
+ * @returns {MetadataComment}
+ */
+const parseInlineMetadata=(text)=>{
+    /** @type {MetadataItem[]} */
+    const metadata=[];
+    const tagReg=/\{\s*@(\w+)(?::(\w+))?/g;
+    let comment='';
+    let i=0;
+    let match;
+    while((match=tagReg.exec(text))){
+        let depth=0;
+        let end=-1;
+        for(let j=match.index;j<text.length;j++){
+            if(text[j]==='{'){
+                depth++;
+            }else if(text[j]==='}' && !--depth){
+                end=j;
+                break;
+            }
+        }
+        if(end===-1){
+            break;
+        }
+        metadata.push({
+            tag:match[1]??'',
+            type:match[2]||undefined,
+            value:text.substring(match.index+match[0].length,end).trim(),
+        });
+        comment+=text.substring(i,match.index).replace(/[ \t]+$/,'');
+        i=end+1;
+        tagReg.lastIndex=i;
+        // text after a tag is joined to the text before it using a single space
+        const rest=text.substring(i).replace(/^[ \t]+/,'');
+        if(comment && !comment.endsWith('\n') && rest && !rest.startsWith('\n')){
+            comment+=' ';
+        }
+        i=text.length-rest.length;
+    }
+    comment+=text.substring(i);
+    return {comment:comment.trim(),metadata};
+}
+
+/**
+ * Combines the line comments of a column with the text of a `COMMENT ON` statement. Metadata
+ * tags in the `COMMENT ON` text take priority over tags in line comments.
+ * @param {MetadataComment|undefined} lineComment
+ * @param {string|undefined} commentOn
+ * @returns {MetadataComment|undefined}
+ */
+const mergeCommentOn=(lineComment,commentOn)=>{
+    const parsed=commentOn?parseInlineMetadata(commentOn):undefined;
+    if(!parsed){
+        return lineComment;
+    }
+    if(!lineComment){
+        return parsed;
+    }
+    return {
+        comment:[lineComment.comment,parsed.comment].filter(c=>c).join('\n'),
+        metadata:[...parsed.metadata,...lineComment.metadata],
+    }
+}
+
+/**
+ * Returns the metadata of a column from its line comments and `COMMENT ON` text. View columns
+ * without type overrides of their own use the type overrides of the column they select.
+ * @param {string} sql
+ * @param {SchemaColumn} col
+ * @returns {MetadataComment|undefined}
+ */
+const getColumnMetadata=(sql,col)=>{
+    const c=col.def;
+    const metadata=mergeCommentOn(c.location?parseComment(sql,c.location):undefined,col.comment);
+    if(!col.source || metadata?.metadata.some(m=>m.tag==='type')){
+        return metadata;
+    }
+    const sourceTypes=getColumnMetadata(sql,col.source)?.metadata.filter(m=>m.tag==='type');
+    if(!sourceTypes?.length){
+        return metadata;
+    }
+    return {
+        comment:metadata?.comment??'',
+        metadata:[...(metadata?.metadata??[]),...sourceTypes],
+    }
+}
+
+/**
+ * Returns the description of a table or type based on the line comments before its create
+ * statement and the text of `COMMENT ON` statements.
+ * @param {string} sql
+ * @param {number} location
+ * @param {string|undefined} commentOn
+ * @returns {string|undefined}
+ */
+const getStatementDescription=(sql,location,commentOn)=>{
+    const comment=location?findComment(sql,location,true):undefined;
+    return mergeCommentOn(comment?{comment,metadata:[]}:undefined,commentOn)?.comment||undefined;
+}
+
 const metadataReg=/(\n|^)\s*(-{2,})?\s*\{\s*@(\w+)(:(\w+))?(.*)\}/g;
 
 const escapeJsComment=(text)=>text.replace(/\*\//g,'(star)/');
@@ -1173,6 +8878,7 @@ export const getLastPgString=(nodes)=>{
     if(!nodes){
         return undefined;
     }
+    /** @type {string|undefined} */
     let last=undefined;
     for(const node of nodes){
         const str=getPgString(node);
@@ -1227,6 +8933,8 @@ export const getPgConstraints=(nodes)=>{
 }
 
 /**
+ * Returns the name of a type. Types outside of the public and system schemas are qualified with
+ * their schema, e.g. `auth.role`
  * @param {Pg.TypeName|null|undefined} typeName 
  * @returns {string|undefined}
  */
@@ -1234,18 +8942,21 @@ export const getPgTypeName=(typeName)=>{
     if(!typeName?.names){
         return undefined;
     }
-    let name=undefined;
+    /** @type {string[]} */
+    const names=[];
     for(const node of typeName.names){
         const n=getPgString(node);
-        if(!n){
-            continue;
+        if(n){
+            names.push(n);
         }
-        if(n!=='public' && !n.startsWith('pg_')){
-            return n;
-        }
-        name=n;
     }
-    return name;
+    const name=names[names.length-1];
+    const schema=names.length>1?names[names.length-2]:undefined;
+    if(!name){
+        return undefined;
+    }
+    // types of the public and system schemas are not qualified
+    return (schema && schema!=='public' && !schema.startsWith('pg_'))?`${schema}.${name}`:name;
 }
 
 /**
@@ -1254,4 +8965,28 @@ export const getPgTypeName=(typeName)=>{
  */
 const asAny=(value)=>value;
 
-main();
\ No newline at end of file
+/**
+ * Returns true if the module is the entry point of the process, e.g. when ran using the
+ * `pg-schema-gen` command, and false when imported
+ * @returns {boolean}
+ */
+const isCliEntryPoint=()=>{
+    const entry=process.argv[1];
+    if(!entry){
+        return false;
+    }
+    try{
+        return realpathSync(entry)===realpathSync(fileURLToPath(import.meta.url));
+    }catch{
+        return false;
+    }
+}
+
+if(isCliEntryPoint()){
+    main().catch(ex=>{
+        // stack traces are only useful for verbose output, errors such as parse errors include
+        // their source location in the message
+        console.error(verbose()?ex:(asAny(ex)?.message??ex));
+        process.exitCode=1;
+    });
+}
\ No newline at end of file
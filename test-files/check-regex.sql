@@ -0,0 +1,18 @@
+-- Regular expression checks that need to be translated to JavaScript
+create table public.link (
+  id uuid not null default gen_random_uuid (),
+
+  -- Adjacent slashes must be escaped in the regex literal
+  url text not null check (url ~ '^https?://'),
+
+  -- POSIX classes are translated to unicode property escapes
+  slug text not null check (slug ~ '^[[:alpha:]][[:alnum:]_-]*$'),
+
+  -- Postgres word boundary escapes
+  title text not null check (title ~* '\mhello\M'),
+
+  -- Unknown POSIX classes are not translated
+  label text check (label ~ '^[[:print:]]+$'),
+  constraint link_pkey primary key (id),
+  constraint link_path_check check (url !~ '//$')
+);